@@ -26,7 +26,7 @@
    CONFIGURATION & CONSTANTS
    ═══════════════════════════════════════════════════════════════════════════ */
 
-const CONFIG = {
+const CR_CONFIG = {
   // ROI regions (percentages of page dimensions)
   // Stamp+Signature area: bottom-right quadrant (where "Stempel und Unterschrift" label is)
   stampSignatureROI: { xStart: 0.45, yStart: 0.70, width: 0.55, height: 0.30 },
@@ -164,7 +164,7 @@ async function extractTextFromPage(pdf, pageIndex) {
   }
 }
 
-async function renderPageToCanvas(pdf, pageIndex, scale = CONFIG.renderScale) {
+async function renderPageToCanvas(pdf, pageIndex, scale = CR_CONFIG.renderScale) {
   const page = await pdf.getPage(pageIndex + 1);
   const viewport = page.getViewport({ scale });
   const canvas = document.createElement('canvas');
@@ -189,7 +189,7 @@ async function ocrCanvas(canvas) {
     const result = await Promise.race([
       Tesseract.recognize(canvas, 'eng+deu', { logger: () => {} }),
       new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('OCR timeout')), CONFIG.ocrTimeout)
+        setTimeout(() => reject(new Error('OCR timeout')), CR_CONFIG.ocrTimeout)
       )
     ]);
     return result?.data?.text || '';
@@ -203,37 +203,16 @@ async function ocrCanvas(canvas) {
    CR DETECTION - IMPROVED with context awareness
    ═══════════════════════════════════════════════════════════════════════════ */
 
-function normalizeToken(raw) {
-  if (!raw) return '';
-  let s = String(raw)
-    .replace(/\u00A0/g, ' ')
-    .replace(/[\s\-\.\,\_]+/g, '')  // Remove spaces, dashes, dots, commas
-    .toUpperCase();
-  
-  // OCR character corrections - order matters!
-  // Common OCR misreads for each digit:
-  s = s.replace(/[OQo]/g, '0')      // 0: O, Q, o
-       .replace(/[IL|\]\[li]/g, '1') // 1: I, L, |, l, i
-       .replace(/[Zz]/g, '2')        // 2: Z, z
-       .replace(/[Ee]/g, '3')        // 3: E can look like 3
-       .replace(/[Aa]/g, '4')        // 4: A can look like 4
-       .replace(/[Ss\$]/g, '5')      // 5: S, s, $
-       .replace(/[b]/g, '6')         // 6: b (lowercase)
-       .replace(/[Tt]/g, '7')        // 7: T can look like 7
-       .replace(/[B]/g, '8')         // 8: B (uppercase)
-       .replace(/[Gg]/g, '9')        // 9: G, g (g is common OCR error for 9)
-       .replace(/[^\d]/g, '');
-  
-  return s;
-}
+// normalizeToken (OCR digit normalization) comes from dn-core.js, which
+// CR.html loads before this file
 
 function isValidCR(value) {
-  return CONFIG.patterns.EP1.test(value) || CONFIG.patterns.H01.test(value);
+  return CR_CONFIG.patterns.EP1.test(value) || CR_CONFIG.patterns.H01.test(value);
 }
 
 function getCRType(value) {
-  if (CONFIG.patterns.EP1.test(value)) return 'EP1';
-  if (CONFIG.patterns.H01.test(value)) return 'H01';
+  if (CR_CONFIG.patterns.EP1.test(value)) return 'EP1';
+  if (CR_CONFIG.patterns.H01.test(value)) return 'H01';
   return 'UNKNOWN';
 }
 
@@ -785,7 +764,7 @@ function findLargestComponent(mask, width, height) {
  * Returns whether handwritten date is present
  */
 function analyzeDateField(canvas) {
-  const roi = CONFIG.dateExclusionROI;
+  const roi = CR_CONFIG.dateExclusionROI;
   const analysis = analyzeROI(canvas, roi);
   
   // Date is typically handwritten in blue or black ink
@@ -800,12 +779,12 @@ function analyzeDateField(canvas) {
 }
 
 async function analyzeStampAndSignature(canvas, pageText, config = {}) {
-  const roi = CONFIG.stampSignatureROI;
+  const roi = CR_CONFIG.stampSignatureROI;
   const analysis = analyzeROI(canvas, roi);
   
-  const blueThreshold = config.blueThreshold || CONFIG.defaults.blueThreshold;
-  const sigThreshold = config.signatureThreshold || CONFIG.defaults.signatureThreshold;
-  const compThreshold = config.compDensityThreshold || CONFIG.defaults.compDensityThreshold;
+  const blueThreshold = config.blueThreshold || CR_CONFIG.defaults.blueThreshold;
+  const sigThreshold = config.signatureThreshold || CR_CONFIG.defaults.signatureThreshold;
+  const compThreshold = config.compDensityThreshold || CR_CONFIG.defaults.compDensityThreshold;
   
   // Analyze date field (to exclude from signature confusion)
   const dateAnalysis = analyzeDateField(canvas);
@@ -1536,10 +1515,10 @@ async function onRun() {
     }
     
     const config = {
-      roiHeight: parseFloat($('roiHeight')?.value || CONFIG.defaults.roiHeight),
-      roiThreshold: parseFloat($('roiThreshold')?.value || CONFIG.defaults.roiThreshold),
-      blueThreshold: parseFloat($('blueThreshold')?.value || CONFIG.defaults.blueThreshold),
-      signatureThreshold: parseFloat($('signatureThreshold')?.value || CONFIG.defaults.signatureThreshold),
+      roiHeight: parseFloat($('roiHeight')?.value || CR_CONFIG.defaults.roiHeight),
+      roiThreshold: parseFloat($('roiThreshold')?.value || CR_CONFIG.defaults.roiThreshold),
+      blueThreshold: parseFloat($('blueThreshold')?.value || CR_CONFIG.defaults.blueThreshold),
+      signatureThreshold: parseFloat($('signatureThreshold')?.value || CR_CONFIG.defaults.signatureThreshold),
     };
     
     appendLog(`Config: Blue=${config.blueThreshold}%, Sig=${config.signatureThreshold}%`);
@@ -1738,13 +1717,12 @@ document.addEventListener('DOMContentLoaded', () => {
 
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
-    normalizeToken,
     findCRsOnText,
     chooseValidCRs,
     isValidCR,
     getCRType,
     isInExclusionContext,
     groupPagesByCR,
-    CONFIG
+    CONFIG: CR_CONFIG
   };
 }
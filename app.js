@@ -16,6 +16,9 @@
  * 
  * v7.3 UPDATE: Added leading zeros auto-fix (00XXXXXXXX → XXXXXXXX)
  *              Empty files no longer generate Excel, user gets clear feedback
+ * 
+ * The extraction and validation rules live in dn-core.js (DOM-free, also
+ * usable from Node); this file is the browser UI around them.
  * ============================================================================
  */
 
@@ -23,33 +26,43 @@
 // CONFIGURATION
 // =============================================================================
 
-const CONFIG = {
+// Extraction settings (digit patterns, tolerances, header labels, prefix
+// model) are defined in dn-core.js; these are the app's own.
+Object.assign(CONFIG, {
     MAX_FILES: 500,
     
-    // Delivery Note validation patterns
-    REGEX_8_DIGITS: /^\d{8}$/,
-    REGEX_7_DIGITS: /^\d{7}$/,
-    REGEX_9_DIGITS: /^\d{9}$/,
-    REGEX_10_DIGITS: /^\d{10}$/,
-    
-    // Pattern for potential delivery notes (7-10 pure digits)
-    POTENTIAL_DN_PATTERN: /^\d{7,10}$/,
-    
-    // Patterns to EXCLUDE (these are NOT delivery notes)
-    EXCLUDE_PATTERNS: [
-        /^\d{10}$/,           // 10-digit Transport IDs like P042277201
-        /^[A-Z]/i,            // Starts with letter (Part numbers like 146505902R)
-        /[A-Z]$/i,            // Ends with letter
-        /[A-Z]/i,             // Contains any letter
-        /\//,                 // Contains slash (dates like 21/02/2025)
-        /\./,                 // Contains dot (decimals like 360.0)
-        /,/,                  // Contains comma
-        /-/,                  // Contains dash
-    ],
-    
-    // Row grouping tolerance
-    ROW_Y_TOLERANCE: 8
-};
+    // pdf.js 3.11.174, served next to the page (must match the <script> in
+    // index.html) so parsing also works offline
+    PDFJS_URL: 'vendor/pdfjs/pdf.min.js',
+    PDFJS_WORKER_URL: 'vendor/pdfjs/pdf.worker.min.js',
+    
+    // Parallel processing: number of Web Workers parsing PDFs at once
+    // (0 = everything on the main thread, one file at a time). Default: one
+    // core left for the page, but at least one worker.
+    WORKER_POOL_SIZE: Math.max(1, Math.min(4, ((typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2) - 1)),
+    MAX_WORKER_POOL_SIZE: 8,
+    
+    // OCR fallback for pages without a text layer (scanned PDFs)
+    OCR_RENDER_SCALE: 2,
+    OCR_LANGUAGES: 'eng+deu',
+    OCR_TIMEOUT: 30000,
+    
+    // Page preview (details modal → rendered page with the match outlined)
+    PREVIEW_SCALE: 1.5,
+    PREVIEW_HIGHLIGHT_PADDING: 3,
+    
+    // Format profile storage (profiles themselves are in dn-core.js)
+    PROFILE_STORAGE_KEY: 'dnExtractor.profileId',
+    TRANSPORT_FORMAT_STORAGE_KEY: 'dnExtractor.transportFormatId',
+    
+    // Session persistence and export ledger (IndexedDB)
+    SESSION_DB_NAME: 'dnExtractor',
+    SESSION_DB_VERSION: 1,
+    SESSION_STORE: 'sessions',
+    SESSION_BLOB_STORE: 'sessionBlobs',     // PDFs and Excel files, written once per session
+    LEDGER_STORE: 'ledger',
+    SESSION_SAVE_DELAY: 1000    // ms of quiet before the session is written
+});
 
 // =============================================================================
 // STATE
@@ -59,9 +72,20 @@ const AppState = {
     files: new Map(),
     excelBlobs: new Map(),
     isProcessing: false,
+    batch: null,            // running batch: { paused, cancelled, documents, pool, resumers }
+    expected: null,         // uploaded expected list: { fileName, values }
     sortColumn: null,
     sortDirection: 'asc',
-    searchQuery: ''
+    searchQuery: '',
+    options: {
+        headerAnchoring: false,
+        headerLabels: CONFIG.HEADER_LABELS.slice(),
+        profileId: CONFIG.DEFAULT_PROFILE_ID,
+        detailedWorkbook: false,
+        workerCount: CONFIG.WORKER_POOL_SIZE,
+        batchPrefixModel: false,
+        transportFormatId: CONFIG.DEFAULT_TRANSPORT_FORMAT_ID
+    }
 };
 
 // =============================================================================
@@ -99,30 +123,14 @@ let workerConfigured = false;
 async function configurePdfWorker() {
     if (workerConfigured || typeof pdfjsLib === 'undefined') return;
     
-    const workerUrl = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
-    
-    try {
-        if (location.protocol === 'http:' || location.protocol === 'https:') {
-            pdfjsLib.GlobalWorkerOptions.workerSrc = workerUrl;
-            workerConfigured = true;
-            console.log('✅ PDF.js worker configured (CDN)');
-            return;
-        }
-        
-        console.log('📁 Running from file:// - configuring worker via blob...');
-        const response = await fetch(workerUrl);
-        if (!response.ok) throw new Error('Failed to fetch worker');
-        
-        const workerCode = await response.text();
-        const blob = new Blob([workerCode], { type: 'application/javascript' });
-        pdfjsLib.GlobalWorkerOptions.workerSrc = URL.createObjectURL(blob);
-        workerConfigured = true;
-        console.log('✅ PDF.js worker configured (blob URL)');
-        
-    } catch (error) {
-        console.warn('⚠️ Could not configure worker, disabling...', error);
-        pdfjsLib.GlobalWorkerOptions.workerSrc = '';
-        workerConfigured = true;
+    // From file:// the browser refuses the Worker; pdf.js then loads the
+    // same script into the page and parses on the main thread
+    pdfjsLib.GlobalWorkerOptions.workerSrc = CONFIG.PDFJS_WORKER_URL;
+    workerConfigured = true;
+    if (location.protocol === 'file:') {
+        console.log('📁 Running from file:// - PDF.js parses on the main thread');
+    } else {
+        console.log('✅ PDF.js worker configured');
     }
 }
 
@@ -130,412 +138,474 @@ async function configurePdfWorker() {
 // PDF TEXT EXTRACTION
 // =============================================================================
 
-async function extractAllTextFromPDF(pdfFile) {
+async function loadPdfDocument(pdfFile) {
     await configurePdfWorker();
     
     const arrayBuffer = await pdfFile.arrayBuffer();
-    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-    
-    const allTextItems = [];
-    const pageCount = pdf.numPages;
+    return await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+}
+
+async function extractAllTextFromPDF(pdfFile) {
+    const pdf = await loadPdfDocument(pdfFile);
+    console.log(`📄 PDF has ${pdf.numPages} pages`);
     
-    console.log(`📄 PDF has ${pageCount} pages`);
+    // Register the document so a batch cancel can abort it mid-file
+    const batch = AppState.batch;
+    if (batch) batch.documents.add(pdf);
     
-    for (let pageNum = 1; pageNum <= pageCount; pageNum++) {
-        const page = await pdf.getPage(pageNum);
-        const textContent = await page.getTextContent();
-        
-        for (const item of textContent.items) {
-            const text = (item.str || '').trim();
-            if (text) {
-                allTextItems.push({
-                    text: text,
-                    pageNum: pageNum
-                });
+    let text;
+    try {
+        text = await extractTextItems(pdf, {
+            beforePage: waitForBatch,
+            ocrPage: (page, pageNum) => {
+                console.log(`🔎 Page ${pageNum}: no text layer, running OCR...`);
+                return ocrPageItems(page, pageNum);
             }
-        }
+        });
+    } catch (error) {
+        // pdf.js rejects with its own error once the document is destroyed
+        if (batch && batch.cancelled) throw createCancelError();
+        throw error;
+    } finally {
+        if (batch) batch.documents.delete(pdf);
     }
     
-    console.log(`📝 Extracted ${allTextItems.length} text items`);
-    return { items: allTextItems, pageCount };
+    const { items, rows, ocrPages } = text;
+    console.log(`📝 Extracted ${items.length} text items in ${rows.length} rows${ocrPages.length ? ` (OCR pages: ${ocrPages.join(', ')})` : ''}`);
+    return text;
 }
 
 // =============================================================================
-// DELIVERY NOTE EXTRACTION (SIMPLE & ROBUST)
+// OCR FALLBACK (SCANNED PAGES)
 // =============================================================================
 
+async function renderPageToCanvas(page, scale = CONFIG.OCR_RENDER_SCALE) {
+    const viewport = page.getViewport({ scale });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+    
+    await page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport
+    }).promise;
+    
+    return canvas;
+}
+
+// One Tesseract worker for all scanned pages, created on first use
+const OCRState = {
+    worker: null            // Promise<Tesseract worker>
+};
+
+function getOCRWorker() {
+    if (!OCRState.worker) {
+        OCRState.worker = (async () => {
+            const worker = await Tesseract.createWorker({ logger: () => {} });
+            await worker.loadLanguage(CONFIG.OCR_LANGUAGES);
+            await worker.initialize(CONFIG.OCR_LANGUAGES);
+            return worker;
+        })();
+    }
+    return OCRState.worker;
+}
+
 /**
- * Extracts all potential delivery notes from PDF text
- * Simple approach: find all 7-10 digit pure numbers
- * NOW TRACKS DUPLICATES properly!
+ * Terminates the worker (stops a recognition that timed out); the next page
+ * starts a fresh one.
  */
-function extractPotentialDeliveryNotes(textItems) {
-    const allCandidates = [];     // ALL occurrences (including duplicates)
-    const occurrenceCount = {};   // Track how many times each value appears
-    
-    for (const item of textItems) {
-        const text = item.text;
-        
-        // Clean the text: remove spaces
-        const cleaned = text.replace(/\s+/g, '');
-        
-        // Skip if empty
-        if (!cleaned) continue;
-        
-        // Check if it's a pure digit string of 7-12 characters
-        // Extended range to capture potential leading zeros (00XXXXXXXX patterns)
-        if (/^\d{7,12}$/.test(cleaned)) {
-            // Track all occurrences
-            allCandidates.push(cleaned);
-            occurrenceCount[cleaned] = (occurrenceCount[cleaned] || 0) + 1;
-            
-            console.log(`  📋 Found candidate: ${cleaned} (${cleaned.length} digits) - occurrence #${occurrenceCount[cleaned]}`);
-        }
+async function resetOCRWorker() {
+    const pending = OCRState.worker;
+    OCRState.worker = null;
+    if (!pending) return;
+    try {
+        await (await pending).terminate();
+    } catch (e) {
+        // Worker never started or is already gone
+    }
+}
+
+async function ocrCanvas(canvas) {
+    if (!window.Tesseract) {
+        console.warn('⚠️ Tesseract not loaded, OCR unavailable');
+        return null;
     }
     
-    // Calculate duplicates
-    const uniqueCandidates = [...new Set(allCandidates)];
-    const duplicates = [];
-    
-    for (const value of uniqueCandidates) {
-        const count = occurrenceCount[value];
-        if (count > 1) {
-            duplicates.push({
-                value: value,
-                count: count,
-                reason: `Found ${count} times in document`
-            });
-            console.log(`  🔁 Duplicate detected: ${value} appears ${count} times`);
-        }
+    let timer = null;
+    try {
+        const result = await Promise.race([
+            getOCRWorker().then(worker => worker.recognize(canvas)),
+            new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error('OCR timeout')), CONFIG.OCR_TIMEOUT);
+            })
+        ]);
+        return result?.data || null;
+    } catch (e) {
+        console.warn('⚠️ OCR failed:', e);
+        await resetOCRWorker();
+        return null;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Runs normalizeToken (dn-core.js) on mostly-numeric OCR words made only of
+ * digits and misread characters. Labels (mostly letters) and words with separators
+ * (dates, quantities) are left alone.
+ */
+function normalizeOCRDigits(word) {
+    const compact = word.replace(/\s+/g, '');
+    const digits = (compact.match(/\d/g) || []).length;
+    if (digits < 5 || digits / compact.length < 0.75) return word;
+    const normalized = normalizeToken(compact);
+    return normalized.length === compact.length ? normalized : word;
+}
+
+/**
+ * Converts Tesseract words into positioned text items in PDF user space
+ * (origin bottom-left), so OCR output goes through the same row grouping,
+ * candidate scanning and validation as a real text layer.
+ */
+function ocrWordsToItems(words, pageNum, canvasHeight, scale) {
+    const items = [];
+    for (const word of words || []) {
+        const text = normalizeOCRDigits((word.text || '').trim());
+        if (!text || !word.bbox) continue;
+        const { x0, y0, x1, y1 } = word.bbox;
+        items.push({
+            text: text,
+            pageNum: pageNum,
+            x: x0 / scale,
+            y: (canvasHeight - y1) / scale,
+            width: (x1 - x0) / scale,
+            height: (y1 - y0) / scale,
+            source: 'ocr',
+            confidence: word.confidence
+        });
+    }
+    return items;
+}
+
+async function ocrPageItems(page, pageNum) {
+    if (!window.Tesseract) {
+        console.warn(`⚠️ Page ${pageNum}: Tesseract not loaded, cannot OCR`);
+        return [];
     }
     
-    console.log(`\n📊 Found ${allCandidates.length} total candidates, ${uniqueCandidates.length} unique, ${duplicates.length} with duplicates`);
+    const canvas = await renderPageToCanvas(page, CONFIG.OCR_RENDER_SCALE);
+    const data = await ocrCanvas(canvas);
+    const items = ocrWordsToItems(data?.words, pageNum, canvas.height, CONFIG.OCR_RENDER_SCALE);
     
-    return {
-        unique: uniqueCandidates,
-        duplicates: duplicates,
-        totalCount: allCandidates.length,
-        occurrenceCount: occurrenceCount
-    };
+    // Release canvas memory
+    canvas.width = 0;
+    canvas.height = 0;
+    
+    console.log(`🔎 Page ${pageNum}: OCR found ${items.length} words`);
+    return items;
 }
 
 // =============================================================================
-// VALIDATION LOGIC
+// LINE ITEMS TABLE
 // =============================================================================
 
-function validateDeliveryNotes(extractionResult) {
-    // extractionResult has: { unique, duplicates, totalCount, occurrenceCount }
-    const rawNotes = extractionResult.unique;
-    const extractedDuplicates = extractionResult.duplicates;
-    const occurrenceCount = extractionResult.occurrenceCount;
-    
-    console.log(`\n🔍 Validating ${rawNotes.length} unique candidates...`);
-    
-    const results = {
-        accepted: [],           // Valid 8-digit delivery notes
-        excluded: [],           // 9-10 digits (too long)
-        invalid: [],            // Other issues
-        autoCorrections: [],    // 7-digit or leading-zero auto-corrected
-        duplicates: [],         // All duplicates info
-        uniqueCount: 0,
-        duplicateCount: 0,
-        totalOccurrences: extractionResult.totalCount
-    };
+function createLineItemsModal() {
+    if (document.getElementById('lineItemsModal')) return;
     
-    const seen = new Set();
-    const tempAccepted = [];
-    const pending7Digit = [];
-    
-    for (const note of rawNotes) {
-        const cleaned = note.replace(/\s+/g, '');
-        
-        if (!cleaned) continue;
-        
-        // Verify it's pure digits
-        if (!/^\d+$/.test(cleaned)) {
-            results.invalid.push({ value: cleaned, reason: 'Contains non-digit characters' });
-            continue;
-        }
-        
-        // Classify by digit count
-        const len = cleaned.length;
-        
-        if (len === 8) {
-            // Check if it starts with leading zeros that make it invalid (like 00XXXXXX - only 6 real digits)
-            const stripped = cleaned.replace(/^0+/, '');
-            if (stripped.length < 8 && stripped.length > 0) {
-                // This is a number with leading zeros - the actual number is less than 8 digits
-                // Still accept it as-is since it's 8 characters total
-                seen.add(cleaned);
-                tempAccepted.push(cleaned);
-                console.log(`  ✅ Accepted: ${cleaned}`);
-            } else {
-                // Perfect! This is what we want
-                seen.add(cleaned);
-                tempAccepted.push(cleaned);
-                console.log(`  ✅ Accepted: ${cleaned}`);
-            }
-        } else if (len === 9 && cleaned.startsWith('0')) {
-            // 9 digits starting with 0: try stripping leading zeros to get 8 digits
-            const stripped = cleaned.replace(/^0+/, '');
-            if (stripped.length === 8) {
-                // Auto-correct by removing leading zero
-                if (!seen.has(stripped)) {
-                    seen.add(stripped);
-                    results.autoCorrections.push({
-                        original: cleaned,
-                        corrected: stripped,
-                        confidence: 'high',
-                        reason: `Removed leading zero`
-                    });
-                    results.accepted.push(stripped);
-                    console.log(`  ✅ Auto-corrected (leading zero): ${cleaned} → ${stripped}`);
-                } else {
-                    // Already exists as duplicate
-                    const existingCount = occurrenceCount[stripped] || 1;
-                    results.duplicates.push({
-                        value: stripped,
-                        count: existingCount + 1,
-                        reason: `Corrected from ${cleaned}, already exists`
-                    });
-                    results.duplicateCount++;
-                    console.log(`  🔁 Corrected ${cleaned} → ${stripped} is duplicate`);
-                }
-            } else {
-                // Can't auto-correct - exclude as 9 digits
-                results.excluded.push({ value: cleaned, reason: `9 digits (excluded - likely Transport ID)` });
-                console.log(`  ⏭️ Excluded: ${cleaned} (9 digits)`);
-            }
-        } else if (len === 10 && cleaned.startsWith('0')) {
-            // 10 digits starting with 0: try stripping leading zeros to get 8 digits
-            const stripped = cleaned.replace(/^0+/, '');
-            if (stripped.length === 8) {
-                // Auto-correct by removing leading zeros
-                if (!seen.has(stripped)) {
-                    seen.add(stripped);
-                    results.autoCorrections.push({
-                        original: cleaned,
-                        corrected: stripped,
-                        confidence: 'high',
-                        reason: `Removed ${len - 8} leading zero(s)`
-                    });
-                    results.accepted.push(stripped);
-                    console.log(`  ✅ Auto-corrected (leading zeros): ${cleaned} → ${stripped}`);
-                } else {
-                    // Already exists as duplicate
-                    const existingCount = occurrenceCount[stripped] || 1;
-                    results.duplicates.push({
-                        value: stripped,
-                        count: existingCount + 1,
-                        reason: `Corrected from ${cleaned}, already exists`
-                    });
-                    results.duplicateCount++;
-                    console.log(`  🔁 Corrected ${cleaned} → ${stripped} is duplicate`);
-                }
-            } else {
-                // Can't auto-correct - exclude as 10 digits
-                results.excluded.push({ value: cleaned, reason: `10 digits (excluded - likely Transport ID)` });
-                console.log(`  ⏭️ Excluded: ${cleaned} (10 digits)`);
-            }
-        } else if (len > 10 && cleaned.startsWith('0')) {
-            // More than 10 digits starting with 0: try stripping leading zeros
-            const stripped = cleaned.replace(/^0+/, '');
-            if (stripped.length === 8) {
-                // Auto-correct by removing leading zeros
-                if (!seen.has(stripped)) {
-                    seen.add(stripped);
-                    results.autoCorrections.push({
-                        original: cleaned,
-                        corrected: stripped,
-                        confidence: 'high',
-                        reason: `Removed ${len - 8} leading zero(s)`
-                    });
-                    results.accepted.push(stripped);
-                    console.log(`  ✅ Auto-corrected (leading zeros): ${cleaned} → ${stripped}`);
-                } else {
-                    results.duplicates.push({
-                        value: stripped,
-                        count: 2,
-                        reason: `Corrected from ${cleaned}, already exists`
-                    });
-                    results.duplicateCount++;
-                }
-            } else {
-                // Invalid
-                results.invalid.push({ 
-                    value: cleaned, 
-                    reason: `${len} digits (expected 8)` 
-                });
-                console.log(`  ❌ Invalid: ${cleaned} (${len} digits)`);
-            }
-        } else if (len === 9 || len === 10) {
-            // 9-10 digits not starting with 0 - exclude
-            results.excluded.push({ value: cleaned, reason: `${len} digits (excluded - likely Transport ID)` });
-            console.log(`  ⏭️ Excluded: ${cleaned} (${len} digits)`);
-        } else if (len === 7) {
-            // May need auto-correction (add leading digit)
-            pending7Digit.push(cleaned);
-            console.log(`  🔧 Pending 7-digit: ${cleaned}`);
-        } else {
-            // Invalid length
-            results.invalid.push({ 
-                value: cleaned, 
-                reason: `${len} digits (expected 8)` 
-            });
-            console.log(`  ❌ Invalid: ${cleaned} (${len} digits)`);
+    const html = `
+        <div id="lineItemsModal" class="modal-overlay" onclick="closeLineItems(event)">
+            <div class="modal-container line-items-container" onclick="event.stopPropagation()">
+                <div class="modal-header">
+                    <h3>📦 Line Items</h3>
+                    <button class="modal-close" onclick="closeLineItems()">&times;</button>
+                </div>
+                <div class="modal-search">
+                    <input type="text" id="lineItemsSearch" placeholder="🔍 Filter..." class="search-input" oninput="renderLineItems()">
+                    <span id="lineItemsCount" class="modal-count">0 items</span>
+                </div>
+                <div class="modal-body" id="lineItemsBody"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" onclick="closeLineItems()">Close</button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', html);
+}
+
+function showLineItems() {
+    createLineItemsModal();
+    document.getElementById('lineItemsModal').style.display = 'flex';
+    document.body.style.overflow = 'hidden';
+    renderLineItems();
+}
+
+function renderLineItems() {
+    const body = document.getElementById('lineItemsBody');
+    if (!body) return;
+    const query = (document.getElementById('lineItemsSearch').value || '').toLowerCase();
+    
+    const rows = [];
+    for (const f of AppState.files.values()) {
+        if (!f.results) continue;
+        for (const li of f.results.lineItems || []) {
+            const cells = [f.name, li.deliveryNote, li.date, li.partNumber, li.quantity, li.pageNum];
+            if (!query || cells.join(' ').toLowerCase().includes(query)) rows.push({ fileId: f.id, cells });
         }
     }
     
-    // Process 7-digit numbers
-    if (pending7Digit.length > 0) {
-        console.log(`\n🔧 Processing ${pending7Digit.length} 7-digit numbers...`);
-        
-        // Find dominant first digit from accepted 8-digit notes
-        const firstDigitCounts = {};
-        for (const note of tempAccepted) {
-            const fd = note[0];
-            firstDigitCounts[fd] = (firstDigitCounts[fd] || 0) + 1;
-        }
-        // Also consider auto-corrected notes for pattern detection
-        for (const correction of results.autoCorrections) {
-            const fd = correction.corrected[0];
-            firstDigitCounts[fd] = (firstDigitCounts[fd] || 0) + 1;
-        }
-        
-        // Find most common first digit (must have at least 30% or 1 occurrence)
-        let dominantDigit = null;
-        let maxCount = 0;
-        const totalAccepted = tempAccepted.length + results.autoCorrections.length;
-        const threshold = Math.max(1, totalAccepted * 0.3);
-        
-        for (const [digit, count] of Object.entries(firstDigitCounts)) {
-            if (count > maxCount && count >= threshold) {
-                maxCount = count;
-                dominantDigit = digit;
-            }
-        }
-        
-        console.log(`  Dominant first digit: ${dominantDigit || 'none'} (${maxCount} occurrences, threshold: ${threshold})`);
-        
-        for (const pending of pending7Digit) {
-            if (dominantDigit) {
-                // =====================================================================
-                // NEW CHECK (v7.2): If the 7-digit number ALREADY starts with the
-                // dominant digit, it means the LAST digit is missing (not the first).
-                // In this case we CANNOT auto-correct → mark as INVALID.
-                // Example: dominantDigit = '2', pending = '2715703'
-                //   → '2715703' already starts with '2', so prepending '2' would be wrong
-                //   → the missing digit is at the END, not the beginning
-                // =====================================================================
-                if (pending[0] === dominantDigit) {
-                    results.invalid.push({
-                        value: pending,
-                        reason: `7 digits - already starts with '${dominantDigit}' (missing last digit, not first)`
-                    });
-                    console.log(`  ❌ Cannot auto-correct: ${pending} (already starts with '${dominantDigit}' - missing last digit)`);
-                    continue;
-                }
-                
-                const corrected = dominantDigit + pending;
-                
-                if (!seen.has(corrected)) {
-                    seen.add(corrected);
-                    results.autoCorrections.push({
-                        original: pending,
-                        corrected: corrected,
-                        confidence: 'high',
-                        reason: `Added leading '${dominantDigit}'`
-                    });
-                    results.accepted.push(corrected);
-                    console.log(`  ✅ Auto-corrected: ${pending} → ${corrected}`);
-                } else {
-                    // The corrected value already exists
-                    const existingCount = occurrenceCount[corrected] || 1;
-                    results.duplicates.push({ 
-                        value: corrected, 
-                        count: existingCount + 1,
-                        reason: `Corrected from ${pending}, already exists (now ${existingCount + 1} times)` 
-                    });
-                    results.duplicateCount++;
-                    console.log(`  🔁 Corrected ${pending} → ${corrected} is duplicate`);
-                }
-            } else {
-                // No pattern found - mark as needing review
-                results.invalid.push({ 
-                    value: pending, 
-                    reason: '7 digits - needs manual review' 
-                });
-                console.log(`  ⚠️ Cannot auto-correct: ${pending} (no pattern)`);
-            }
-        }
+    document.getElementById('lineItemsCount').textContent = `${rows.length} items`;
+    if (rows.length === 0) {
+        body.innerHTML = '<div class="modal-empty">No line items</div>';
+        return;
     }
     
-    // Add all accepted 8-digit notes
-    results.accepted.push(...tempAccepted);
-    
-    // Add the duplicates found during extraction (from extractPotentialDeliveryNotes)
-    // But only for 8-digit numbers that were accepted
-    for (const dup of extractedDuplicates) {
-        if (dup.value.length === 8 && seen.has(dup.value)) {
-            // Check if this duplicate is not already in the list
-            const alreadyAdded = results.duplicates.some(d => d.value === dup.value);
-            if (!alreadyAdded) {
-                results.duplicates.push(dup);
-                results.duplicateCount += (dup.count - 1); // count - 1 because one is the original
-            }
-        }
+    body.innerHTML = `
+        <table class="files-table line-items-table">
+            <thead><tr><th>File</th><th>Delivery Note</th><th>Date</th><th>Part Number</th><th>Quantity</th><th>Page</th></tr></thead>
+            <tbody>
+                ${rows.slice(0, 1000).map(r => `<tr>${r.cells.map(c => `<td>${Utils.escapeHtml(String(c))}</td>`).join('')}</tr>`).join('')}
+            </tbody>
+        </table>
+        ${rows.length > 1000 ? `<div class="modal-truncated">... and ${rows.length - 1000} more items</div>` : ''}
+    `;
+}
+
+function closeLineItems(event) {
+    if (event && event.target.id !== 'lineItemsModal') return;
+    const modal = document.getElementById('lineItemsModal');
+    if (modal) {
+        modal.style.display = 'none';
+        document.body.style.overflow = '';
     }
-    
-    // Final stats
-    results.uniqueCount = new Set(results.accepted).size;
-    
-    console.log(`\n📊 VALIDATION RESULTS:`);
-    console.log(`  ✅ Accepted: ${results.accepted.length}`);
-    console.log(`  ⏭️ Excluded: ${results.excluded.length}`);
-    console.log(`  ❌ Invalid: ${results.invalid.length}`);
-    console.log(`  🔧 Auto-corrected: ${results.autoCorrections.length}`);
-    console.log(`  🔁 Duplicates: ${results.duplicates.length} items (${results.duplicateCount} extra occurrences)`);
-    
-    return results;
 }
 
 // =============================================================================
 // MAIN PDF PROCESSING
 // =============================================================================
 
-async function processPDF(fileData) {
+async function processPDF(fileData, options = AppState.options) {
     console.log(`\n${'='.repeat(60)}`);
     console.log(`📄 Processing: ${fileData.name}`);
     console.log(`${'='.repeat(60)}`);
     
     try {
         // Extract all text from PDF
-        const { items, pageCount } = await extractAllTextFromPDF(fileData.file);
+        const { items, rows, pageCount, ocrPages } = await extractAllTextFromPDF(fileData.file);
         
         if (items.length === 0) {
-            throw new Error('Could not extract text from PDF. File may be scanned or protected.');
+            if (!window.Tesseract) {
+                throw new Error('Could not extract text from PDF. File may be scanned or protected (OCR not available).');
+            }
+            throw new Error('Could not extract text from PDF, OCR found no text either. File may be protected or blank.');
         }
         
-        // Find all potential delivery notes (7-10 digit numbers)
-        // Returns: { unique, duplicates, totalCount, occurrenceCount }
-        const extractionResult = extractPotentialDeliveryNotes(items);
-        
-        // Validate and classify
-        const results = validateDeliveryNotes(extractionResult);
-        
-        return {
-            ...results,
-            pageCount,
-            rawCount: extractionResult.totalCount,
-            uniqueRawCount: extractionResult.unique.length
-        };
+        return analyzeTextItems(items, rows, pageCount, ocrPages, { ...options, logger: console });
         
     } catch (error) {
-        console.error('❌ Error processing PDF:', error);
+        if (!error.cancelled) console.error('❌ Error processing PDF:', error);
         throw error;
     }
 }
 
+// =============================================================================
+// WORKER POOL (PARALLEL PROCESSING)
+// =============================================================================
+
+// Functions shipped to the workers (all from dn-core.js). Each must be
+// self-contained apart from CONFIG, FORMAT_PROFILES and the others listed here.
+const WORKER_FUNCTIONS = [
+    extractPageItems, extractTextItems, groupItemsIntoRows, assignColumns,
+    buildHeaderLabelRegex, findHeaderAnchors, filterItemsByHeaderColumn,
+    getFormatProfile, getCandidateValue, hasAllowedPrefix, findExclusionRule, checkDigitFailure,
+    buildPrefixModel, scoreCorrectionCandidates, formatConfidence,
+    findDigitRuns, mergeSplitItems, scanCandidateTokens,
+    clipContext, buildOccurrence, attachProvenance, formatPages, extractTransportIds, getTransportIdFormat,
+    recordAuditStep,
+    classifyField, extractLineItems,
+    extractPotentialDeliveryNotes, validateDeliveryNotes, analyzeTextItems
+];
+
+/**
+ * Worker script (loaded from a blob URL). pdf.js comes from the page's own
+ * origin - a blob has no base URL, so the paths are made absolute here.
+ * pdf.worker is imported into the same scope, so pdf.js parses inside this
+ * worker instead of spawning another. If the scripts can't be loaded (e.g.
+ * from file://) every task is answered with `unavailable`.
+ */
+function buildWorkerSource() {
+    const scriptUrls = [CONFIG.PDFJS_URL, CONFIG.PDFJS_WORKER_URL].map(url => new URL(url, location.href).href);
+    return `
+let unavailable = null;
+try {
+    importScripts(${scriptUrls.map(url => JSON.stringify(url)).join(', ')});
+} catch (error) {
+    unavailable = 'Could not load pdf.js in the worker: ' + (error.message || error);
+}
+const CONFIG = ${JSON.stringify(CONFIG)};
+const FORMAT_PROFILES = ${JSON.stringify(FORMAT_PROFILES)};
+const TRANSPORT_ID_FORMATS = ${JSON.stringify(TRANSPORT_ID_FORMATS)};
+const SILENT_LOGGER = { log() {}, warn() {} };
+const CHECK_DIGIT_ALGORITHMS = {
+${Object.entries(CHECK_DIGIT_ALGORITHMS).map(([id, verify]) => `    ${JSON.stringify(id)}: ${verify.toString()}`).join(',\n')}
+};
+
+${WORKER_FUNCTIONS.map(fn => fn.toString()).join('\n\n')}
+
+// Pause/resume from the batch controls, checked between pages like
+// waitForBatch on the main thread (cancel terminates the worker)
+let paused = false;
+const resumers = [];
+const waitWhilePaused = async () => {
+    while (paused) await new Promise(resolve => resumers.push(resolve));
+};
+
+self.onmessage = async (event) => {
+    if (event.data.control) {
+        paused = event.data.control === 'pause';
+        if (!paused) resumers.splice(0).forEach(resolve => resolve());
+        return;
+    }
+    
+    const { id, buffer, options } = event.data;
+    if (unavailable) {
+        self.postMessage({ id, unavailable });
+        return;
+    }
+    let pdf = null;
+    try {
+        pdf = await pdfjsLib.getDocument({ data: buffer }).promise;
+        const { items, rows, pageCount, emptyPages } = await extractTextItems(pdf, { beforePage: waitWhilePaused });
+        // OCR needs a canvas - hand scanned files back to the main thread
+        if (emptyPages.length > 0) {
+            self.postMessage({ id, needsOcr: emptyPages });
+            return;
+        }
+        const results = analyzeTextItems(items, rows, pageCount, [], { ...options, logger: console });
+        self.postMessage({ id, results });
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    } finally {
+        if (pdf) pdf.destroy();
+    }
+};
+`;
+}
+
+/**
+ * Creates a pool of `size` workers. run(buffer, options) resolves with the
+ * worker's reply ({ results } | { needsOcr } | { error }) and rejects only
+ * when the worker itself fails (e.g. scripts could not be loaded).
+ * setPaused(paused) holds files already inside a worker at the next page.
+ * Returns null if workers are not available in this browser/context.
+ */
+function createWorkerPool(size) {
+    if (typeof Worker === 'undefined' || size < 1) return null;
+    
+    let workerUrl;
+    const workers = [];
+    try {
+        workerUrl = URL.createObjectURL(new Blob([buildWorkerSource()], { type: 'application/javascript' }));
+        for (let i = 0; i < size; i++) workers.push(new Worker(workerUrl));
+    } catch (error) {
+        console.warn('⚠️ Could not start worker pool, processing on main thread:', error);
+        workers.forEach(w => w.terminate());
+        if (workerUrl) URL.revokeObjectURL(workerUrl);
+        return null;
+    }
+    
+    const idle = workers.slice();
+    const queue = [];
+    const pending = new Map();
+    let nextId = 0;
+    
+    const dispatch = () => {
+        while (idle.length > 0 && queue.length > 0) {
+            const worker = idle.pop();
+            const task = queue.shift();
+            pending.set(task.id, { ...task, worker });
+            worker.postMessage({ id: task.id, buffer: task.buffer, options: task.options }, [task.buffer]);
+        }
+    };
+    
+    const finish = (id, settle) => {
+        const task = pending.get(id);
+        if (!task) return;
+        pending.delete(id);
+        idle.push(task.worker);
+        settle(task);
+        dispatch();
+    };
+    
+    for (const worker of workers) {
+        worker.onmessage = (event) => {
+            const { id, unavailable } = event.data;
+            if (unavailable) finish(id, task => task.reject(new Error(unavailable)));
+            else finish(id, task => task.resolve(event.data));
+        };
+        worker.onerror = (event) => {
+            event.preventDefault();
+            for (const [id, task] of pending) {
+                if (task.worker === worker) {
+                    finish(id, t => t.reject(new Error(event.message || 'Worker failed')));
+                }
+            }
+        };
+    }
+    
+    return {
+        size,
+        run(buffer, options) {
+            return new Promise((resolve, reject) => {
+                queue.push({ id: nextId++, buffer, options, resolve, reject });
+                dispatch();
+            });
+        },
+        setPaused(paused) {
+            workers.forEach(w => w.postMessage({ control: paused ? 'pause' : 'resume' }));
+        },
+        terminate() {
+            workers.forEach(w => w.terminate());
+            URL.revokeObjectURL(workerUrl);
+            for (const task of [...queue, ...pending.values()]) task.reject(new Error('Worker pool terminated'));
+            queue.length = 0;
+            pending.clear();
+        }
+    };
+}
+
+/**
+ * Processes a file in the worker pool. Scanned files (pages without text)
+ * and worker failures fall back to processPDF on the main thread.
+ */
+async function processPDFInWorker(fileData, pool, options = AppState.options) {
+    const buffer = await fileData.file.arrayBuffer();
+    let reply;
+    
+    try {
+        reply = await pool.run(buffer, {
+            profileId: options.profileId,
+            headerAnchoring: options.headerAnchoring,
+            headerLabels: options.headerLabels,
+            referenceNotes: options.referenceNotes,
+            transportFormatId: options.transportFormatId
+        });
+    } catch (error) {
+        if (AppState.batch && AppState.batch.cancelled) throw createCancelError();
+        console.warn(`⚠️ Worker failed for ${fileData.name}, retrying on main thread:`, error);
+        return processPDF(fileData, options);
+    }
+    
+    if (reply.error) throw new Error(reply.error);
+    
+    if (reply.needsOcr) {
+        console.log(`🔎 ${fileData.name}: pages ${reply.needsOcr.join(', ')} need OCR, processing on main thread`);
+        return processPDF(fileData, options);
+    }
+    
+    return reply.results;
+}
+
 // =============================================================================
 // EXCEL GENERATION
 // =============================================================================
@@ -561,6 +631,61 @@ function generateExcel(deliveryNotes) {
     });
 }
 
+/**
+ * Multi-sheet workbook for controllers. The single-column generateExcel()
+ * stays the default because downstream imports expect that layout.
+ */
+function generateDetailedExcel(results, fileName) {
+    const wb = XLSX.utils.book_new();
+    const sheets = buildDetailedWorkbookSheets(results, fileName);
+    
+    for (const [name, rows] of Object.entries(sheets)) {
+        const ws = XLSX.utils.aoa_to_sheet(rows);
+        ws['!cols'] = rows[0].map((_, i) => ({ wch: name === 'Summary' && i === 0 ? 30 : (i === 0 ? 15 : 40) }));
+        XLSX.utils.book_append_sheet(wb, ws, name);
+    }
+    
+    const wbout = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+    return new Blob([wbout], { 
+        type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' 
+    });
+}
+
+// =============================================================================
+// MASTER WORKBOOK (WHOLE BATCH)
+// =============================================================================
+
+function generateMasterWorkbook() {
+    const files = Array.from(AppState.files.values())
+        .filter(f => f.status === 'done' && f.results)
+        .map(f => ({ name: f.name, results: f.results }));
+    
+    const wb = XLSX.utils.book_new();
+    const sheets = buildMasterWorkbookSheets(files);
+    
+    for (const [name, rows] of Object.entries(sheets)) {
+        const ws = XLSX.utils.aoa_to_sheet(rows);
+        ws['!cols'] = rows[0].map((_, i) => ({ wch: i === 0 ? 15 : 30 }));
+        // Filter/sort dropdowns on the header row
+        ws['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length - 1, c: rows[0].length - 1 } }) };
+        XLSX.utils.book_append_sheet(wb, ws, name);
+    }
+    
+    const wbout = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+    return new Blob([wbout], { 
+        type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' 
+    });
+}
+
+// =============================================================================
+// CROSS-FILE DUPLICATES (WHOLE BATCH)
+// =============================================================================
+
+function getBatchCrossFileDuplicates() {
+    return findCrossFileDuplicates(Array.from(AppState.files.values())
+        .filter(f => f.status === 'done' && f.results));
+}
+
 // =============================================================================
 // ZIP GENERATION
 // =============================================================================
@@ -568,162 +693,1718 @@ function generateExcel(deliveryNotes) {
 async function generateZip() {
     const zip = new JSZip();
     
-    for (const [fileId, blob] of AppState.excelBlobs) {
-        const fileData = AppState.files.get(fileId);
-        if (fileData && fileData.status === 'done') {
-            const excelName = Utils.getFileNameWithoutExtension(fileData.name) + '.xlsx';
-            zip.file(excelName, blob);
-        }
+    for (const [fileId, blob] of AppState.excelBlobs) {
+        const fileData = AppState.files.get(fileId);
+        if (fileData && fileData.status === 'done') {
+            const excelName = Utils.getFileNameWithoutExtension(fileData.name) + '.xlsx';
+            zip.file(excelName, blob);
+        }
+    }
+    
+    return await zip.generateAsync({ type: 'blob' });
+}
+
+// =============================================================================
+// MODAL SYSTEM
+// =============================================================================
+
+function createModal() {
+    const existingModal = document.getElementById('detailModal');
+    if (existingModal) existingModal.remove();
+    
+    const modalHtml = `
+        <div id="detailModal" class="modal-overlay" onclick="closeModal(event)">
+            <div class="modal-container" onclick="event.stopPropagation()">
+                <div class="modal-header">
+                    <h3 id="modalTitle">Details</h3>
+                    <button class="modal-close" onclick="closeModal()">&times;</button>
+                </div>
+                <div class="modal-search">
+                    <input type="text" id="modalSearch" placeholder="Search..." onkeyup="filterModalContent()">
+                    <span id="modalCount" class="modal-count">0 items</span>
+                </div>
+                <div class="modal-body" id="modalBody"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" onclick="closeModal()">Close</button>
+                    <button class="btn btn-primary" onclick="exportModalContent()">📥 Export to CSV</button>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    document.body.insertAdjacentHTML('beforeend', modalHtml);
+}
+
+function showModal(title, items, type, provenance = null, fileId = '') {
+    createModal();
+    
+    const modal = document.getElementById('detailModal');
+    document.getElementById('modalTitle').textContent = title;
+    document.getElementById('modalCount').textContent = `${items.length} items`;
+    
+    modal.dataset.items = JSON.stringify(items);
+    modal.dataset.type = type;
+    modal.dataset.title = title;
+    modal.dataset.provenance = JSON.stringify(provenance || {});
+    modal.dataset.fileId = fileId;
+    
+    renderModalItems(items, type);
+    
+    modal.style.display = 'flex';
+    document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Occurrences of a modal item: carried on the entry itself, or looked up in
+ * the provenance map for plain-string (accepted) items.
+ */
+function getItemOccurrences(item) {
+    if (typeof item === 'object' && item.occurrences) return item.occurrences;
+    const modal = document.getElementById('detailModal');
+    const provenance = JSON.parse(modal?.dataset.provenance || '{}');
+    return provenance[typeof item === 'object' ? item.value : item] || [];
+}
+
+/**
+ * Data attributes that let a click open the page preview for an occurrence.
+ * The file comes from the occurrence (batch-wide views) or the open modal.
+ */
+function previewAttributes(occ, label) {
+    const modal = document.getElementById('detailModal');
+    const fileId = occ.fileId || modal?.dataset.fileId || '';
+    if (!fileId) return '';
+    const attrs = {
+        'file-id': fileId,
+        page: occ.pageNum,
+        x: occ.x,
+        y: occ.y,
+        w: occ.width,
+        h: occ.height,
+        label: label
+    };
+    return Object.entries(attrs)
+        .map(([k, v]) => `data-${k}="${Utils.escapeHtml(String(v ?? ''))}"`)
+        .join(' ') + ' onclick="openOccurrencePreview(this)" title="Click to preview page"';
+}
+
+function previewLabel(item) {
+    if (typeof item !== 'object') return String(item);
+    if (item.original && item.corrected) return `${item.original} → ${item.corrected}`;
+    return item.value;
+}
+
+function renderOccurrences(occurrences, label = '') {
+    if (!occurrences || occurrences.length === 0) return '';
+    const shown = occurrences.slice(0, 5).map(occ =>
+        `<div class="modal-occurrence" ${previewAttributes(occ, label)}>${Utils.escapeHtml(formatOccurrence(occ))}</div>`
+    ).join('');
+    const more = occurrences.length > 5 ? `<div class="modal-occurrence more">+${occurrences.length - 5} more</div>` : '';
+    return `<div class="modal-occurrences">${shown}${more}</div>`;
+}
+
+function renderModalItems(items, type) {
+    const modalBody = document.getElementById('modalBody');
+    
+    if (items.length === 0) {
+        modalBody.innerHTML = '<div class="modal-empty">No items to display</div>';
+        return;
+    }
+    
+    let html = '<div class="modal-list">';
+    
+    for (const item of items.slice(0, 500)) {
+        const occurrences = getItemOccurrences(item);
+        const occurrencesHtml = renderOccurrences(occurrences, previewLabel(item));
+        const valueAttrs = occurrences.length > 0 ? previewAttributes(occurrences[0], previewLabel(item)) : '';
+        const explainHtml = explainButton(typeof item === 'object' ? (item.original || item.value) : item);
+        if (type === 'autocorrection') {
+            html += `
+                <div class="modal-item modal-item-correction">
+                    <span class="modal-value original" ${valueAttrs}>${Utils.escapeHtml(item.original)}</span>
+                    <span class="modal-arrow">→</span>
+                    <span class="modal-value corrected">${Utils.escapeHtml(item.corrected)}</span>
+                    <span class="modal-reason">${Utils.escapeHtml(item.reason)}</span>
+                    ${explainHtml}
+                    ${occurrencesHtml}
+                </div>`;
+        } else if (type === 'duplicate') {
+            // Special formatting for duplicates showing count
+            const countBadge = item.count ? `<span class="duplicate-count">×${item.count}</span>` : '';
+            html += `
+                <div class="modal-item modal-item-duplicate">
+                    <span class="modal-value" ${valueAttrs}>${Utils.escapeHtml(item.value)}</span>
+                    ${countBadge}
+                    <span class="modal-reason">${Utils.escapeHtml(item.reason)}</span>
+                    ${explainHtml}
+                    ${occurrencesHtml}
+                </div>`;
+        } else if (type === 'previous') {
+            // Link back to the session the note was first exported from
+            const sessionLink = item.sessionId
+                ? `<button class="btn btn-secondary btn-small" onclick="restoreSession('${Utils.escapeHtml(item.sessionId)}')">🗂️ Open earlier session</button>`
+                : '';
+            html += `
+                <div class="modal-item">
+                    <span class="modal-value" ${valueAttrs}>${Utils.escapeHtml(item.value)}</span>
+                    <span class="modal-reason">${Utils.escapeHtml(item.reason)}</span>
+                    ${sessionLink}
+                    ${occurrencesHtml}
+                </div>`;
+        } else if (typeof item === 'object') {
+            html += `
+                <div class="modal-item">
+                    <span class="modal-value" ${valueAttrs}>${Utils.escapeHtml(item.value)}</span>
+                    <span class="modal-reason">${Utils.escapeHtml(item.reason)}</span>
+                    ${explainHtml}
+                    ${occurrencesHtml}
+                </div>`;
+        } else {
+            html += `
+                <div class="modal-item">
+                    <span class="modal-value" ${valueAttrs}>${Utils.escapeHtml(item)}</span>
+                    ${explainHtml}
+                    ${occurrencesHtml}
+                </div>`;
+        }
+    }
+    
+    if (items.length > 500) {
+        html += `<div class="modal-truncated">... and ${items.length - 500} more items</div>`;
+    }
+    
+    html += '</div>';
+    modalBody.innerHTML = html;
+}
+
+function filterModalContent() {
+    const query = document.getElementById('modalSearch').value.toLowerCase();
+    const modal = document.getElementById('detailModal');
+    const items = JSON.parse(modal.dataset.items || '[]');
+    const type = modal.dataset.type;
+    
+    const filtered = items.filter(item => {
+        const contexts = getItemOccurrences(item).map(formatOccurrence).join(' ').toLowerCase();
+        if (contexts.includes(query)) return true;
+        if (typeof item === 'object') {
+            return Object.values(item).some(v => typeof v !== 'object' && String(v).toLowerCase().includes(query));
+        }
+        return String(item).toLowerCase().includes(query);
+    });
+    
+    document.getElementById('modalCount').textContent = `${filtered.length} of ${items.length} items`;
+    renderModalItems(filtered, type);
+}
+
+function closeModal(event) {
+    if (event && event.target.id !== 'detailModal') return;
+    const modal = document.getElementById('detailModal');
+    if (modal) {
+        modal.style.display = 'none';
+        document.body.style.overflow = '';
+    }
+}
+
+function exportModalContent() {
+    const modal = document.getElementById('detailModal');
+    const items = JSON.parse(modal.dataset.items || '[]');
+    const title = modal.dataset.title || 'export';
+    const type = modal.dataset.type;
+    
+    let csv = '';
+    const locations = (item) => getItemOccurrences(item)
+        .map(o => `${o.file ? o.file + ' ' : ''}p${o.pageNum}${o.lineNum ? ' l' + o.lineNum : ''}`)
+        .join('; ');
+    
+    if (type === 'autocorrection') {
+        csv = 'Original,Corrected,Reason,Locations\n';
+        items.forEach(i => csv += `"${i.original}","${i.corrected}","${i.reason}","${locations(i)}"\n`);
+    } else if (items.length > 0 && typeof items[0] === 'object') {
+        csv = 'Value,Reason,Locations\n';
+        items.forEach(i => csv += `"${i.value}","${i.reason}","${locations(i)}"\n`);
+    } else {
+        csv = 'Value,Locations\n';
+        items.forEach(i => csv += `"${i}","${locations(i)}"\n`);
+    }
+    
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    saveAs(blob, title.replace(/[^a-z0-9]/gi, '_') + '.csv');
+}
+
+// =============================================================================
+// PAGE PREVIEW
+// =============================================================================
+
+// Last opened document is kept so stepping through one file's values
+// does not re-parse the PDF on every click
+const PreviewState = {
+    fileId: null,
+    pdf: null
+};
+
+async function getPreviewDocument(fileId) {
+    if (PreviewState.fileId === fileId && PreviewState.pdf) return PreviewState.pdf;
+    
+    const fileData = AppState.files.get(fileId);
+    if (!fileData?.file) throw new Error('Source PDF is not available');
+    
+    if (PreviewState.pdf) {
+        PreviewState.pdf.destroy();
+        PreviewState.pdf = null;
+    }
+    
+    PreviewState.pdf = await loadPdfDocument(fileData.file);
+    PreviewState.fileId = fileId;
+    return PreviewState.pdf;
+}
+
+function createPreviewModal() {
+    if (document.getElementById('previewModal')) return;
+    
+    const html = `
+        <div id="previewModal" class="modal-overlay preview-overlay" onclick="closePreview(event)">
+            <div class="modal-container preview-container" onclick="event.stopPropagation()">
+                <div class="modal-header">
+                    <h3 id="previewTitle">Preview</h3>
+                    <button class="modal-close" onclick="closePreview()">&times;</button>
+                </div>
+                <div class="preview-caption" id="previewCaption"></div>
+                <div class="modal-body preview-body" id="previewBody"></div>
+            </div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', html);
+}
+
+/**
+ * Renders a page and outlines a match. `box` is in PDF units as stored in
+ * the occurrence ({ x, y, width, height }, y = baseline, origin bottom-left).
+ */
+async function showPagePreview(fileId, pageNum, box, label) {
+    const fileData = AppState.files.get(fileId);
+    if (!fileData) return;
+    
+    createPreviewModal();
+    const modal = document.getElementById('previewModal');
+    const body = document.getElementById('previewBody');
+    document.getElementById('previewTitle').textContent = `${fileData.name} - page ${pageNum}`;
+    document.getElementById('previewCaption').textContent = label.includes('→')
+        ? `Auto-corrected: original text ${label.split('→')[0].trim()} on the page, exported as ${label.split('→')[1].trim()}`
+        : `Match: ${label}`;
+    body.innerHTML = '<div class="modal-empty"><span class="spinner"></span> Rendering page...</div>';
+    modal.style.display = 'flex';
+    
+    try {
+        const pdf = await getPreviewDocument(fileId);
+        const page = await pdf.getPage(pageNum);
+        const viewport = page.getViewport({ scale: CONFIG.PREVIEW_SCALE });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(viewport.width);
+        canvas.height = Math.ceil(viewport.height);
+        canvas.className = 'preview-canvas';
+        
+        const ctx = canvas.getContext('2d');
+        await page.render({ canvasContext: ctx, viewport }).promise;
+        
+        // PDF rectangle → canvas rectangle (handles rotation and y-flip)
+        const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([
+            box.x, box.y, box.x + box.width, box.y + (box.height || 10)
+        ]);
+        const pad = CONFIG.PREVIEW_HIGHLIGHT_PADDING;
+        const left = Math.min(x1, x2) - pad;
+        const top = Math.min(y1, y2) - pad;
+        const width = Math.abs(x2 - x1) + pad * 2;
+        const height = Math.abs(y2 - y1) + pad * 2;
+        
+        const isCorrection = label.includes('→');
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = isCorrection ? '#9b59b6' : '#dc3545';
+        ctx.fillStyle = isCorrection ? 'rgba(155, 89, 182, 0.15)' : 'rgba(220, 53, 69, 0.12)';
+        ctx.fillRect(left, top, width, height);
+        ctx.strokeRect(left, top, width, height);
+        
+        body.innerHTML = '';
+        body.appendChild(canvas);
+        
+        // Bring the match into view
+        body.scrollTop = Math.max(0, top - body.clientHeight / 2);
+        body.scrollLeft = Math.max(0, left - body.clientWidth / 2);
+    } catch (error) {
+        console.error('Preview error:', error);
+        body.innerHTML = `<div class="modal-empty">Could not render page: ${Utils.escapeHtml(error.message)}</div>`;
+    }
+}
+
+function openOccurrencePreview(el) {
+    const d = el.dataset;
+    showPagePreview(d.fileId, parseInt(d.page, 10), {
+        x: parseFloat(d.x) || 0,
+        y: parseFloat(d.y) || 0,
+        width: parseFloat(d.w) || 0,
+        height: parseFloat(d.h) || 0
+    }, d.label || '');
+}
+
+function closePreview(event) {
+    if (event && event.target.id !== 'previewModal') return;
+    const modal = document.getElementById('previewModal');
+    if (modal) {
+        modal.style.display = 'none';
+        document.getElementById('previewBody').innerHTML = '';
+    }
+}
+
+// =============================================================================
+// EXPLAIN PANEL (AUDIT TRAIL)
+// =============================================================================
+
+/**
+ * Decision chains of a value: one per file it went through, or only the
+ * given file's. Returns [{ fileName, steps }].
+ */
+function findAuditTrails(value, fileId = '') {
+    const trails = [];
+    for (const [id, f] of AppState.files) {
+        if (fileId && id !== fileId) continue;
+        const steps = getAuditTrail(f.results, value);
+        if (steps.length > 0) trails.push({ fileName: f.name, steps });
+    }
+    return trails;
+}
+
+function explainButton(value) {
+    const modal = document.getElementById('detailModal');
+    if (findAuditTrails(value, modal ? modal.dataset.fileId : '').length === 0) return '';
+    return `<button class="btn btn-secondary btn-small modal-explain" data-value="${Utils.escapeHtml(value)}"
+                onclick="showExplain(this.dataset.value)">🔍 Explain</button>`;
+}
+
+function formatAuditInputs(inputs) {
+    return Object.entries(inputs || {})
+        .filter(([, v]) => v !== null && v !== undefined && !(Array.isArray(v) && v.some(x => typeof x === 'object')))
+        .map(([k, v]) => `${k}=${Array.isArray(v) ? v.join(',') : v}`)
+        .join(' · ');
+}
+
+function createExplainModal() {
+    if (document.getElementById('explainModal')) return;
+    
+    const html = `
+        <div id="explainModal" class="modal-overlay" onclick="closeExplain(event)">
+            <div class="modal-container explain-container" onclick="event.stopPropagation()">
+                <div class="modal-header">
+                    <h3 id="explainTitle">🔍 Explain</h3>
+                    <button class="modal-close" onclick="closeExplain()">&times;</button>
+                </div>
+                <div class="modal-body" id="explainBody"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" onclick="closeExplain()">Close</button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', html);
+}
+
+function showExplain(value) {
+    createExplainModal();
+    const detail = document.getElementById('detailModal');
+    const trails = findAuditTrails(value, detail ? detail.dataset.fileId : '');
+    
+    document.getElementById('explainTitle').textContent = `🔍 Why ${value}?`;
+    document.getElementById('explainBody').innerHTML = trails.length === 0
+        ? '<div class="modal-empty">No decisions recorded for this value</div>'
+        : trails.map(({ fileName, steps }) => `
+            <div class="explain-trail">
+                <h4>${Utils.escapeHtml(fileName)}</h4>
+                <ol class="explain-steps">
+                    ${steps.map(step => `
+                        <li class="explain-step explain-${Utils.escapeHtml(step.outcome)}">
+                            <code class="explain-rule">${Utils.escapeHtml(step.rule)}</code>
+                            <span class="explain-text">${Utils.escapeHtml(step.text)}</span>
+                            <span class="explain-inputs">${Utils.escapeHtml(formatAuditInputs(step.inputs))}</span>
+                        </li>`).join('')}
+                </ol>
+            </div>`).join('');
+    
+    document.getElementById('explainModal').style.display = 'flex';
+}
+
+function closeExplain(event) {
+    if (event && event.target.id !== 'explainModal') return;
+    const modal = document.getElementById('explainModal');
+    if (modal) modal.style.display = 'none';
+}
+
+// =============================================================================
+// REVIEW QUEUE
+// =============================================================================
+
+/**
+ * Items of a file that need a human decision: invalid entries (including
+ * "needs manual review" short numbers) and auto-corrections not yet reviewed.
+ * Returns [{ kind: 'invalid'|'correction', value, entry }]
+ */
+function getReviewQueue(results) {
+    if (!results) return [];
+    const queue = [];
+    for (const entry of results.invalid || []) {
+        queue.push({ kind: 'invalid', value: entry.value, entry });
+    }
+    for (const entry of results.autoCorrections || []) {
+        if (!entry.reviewed) queue.push({ kind: 'correction', value: entry.original, entry });
+    }
+    return queue;
+}
+
+/**
+ * Checks a value typed by the reviewer against the file's format profile.
+ * Returns an error message, or null if the value is usable.
+ */
+function validateReviewValue(value, profile, label = 'Corrected value') {
+    if (!/^\d+$/.test(value)) return `${label} must contain digits only`;
+    if (value.length !== profile.length) return `${label} must have ${profile.length} digits`;
+    if (!hasAllowedPrefix(value, profile)) return `${label} must start with ${profile.prefixes.join(' or ')}`;
+    const checkFailure = checkDigitFailure(value, profile);
+    if (checkFailure) return `${label} fails the ${checkFailure}`;
+    return null;
+}
+
+/**
+ * Applies a reviewer decision to a file's results in place.
+ * - invalid + accept:     value moves to accepted as-is, only if it fits the
+ *                         profile or overrideProfile is set (recorded on the decision)
+ * - invalid + reject:     value moves to excluded
+ * - invalid + edit:       typed value is accepted, recorded as a manual correction
+ * - correction + accept:  correction is kept and marked reviewed
+ * - correction + reject:  corrected value is removed, original moves to excluded
+ * - correction + edit:    corrected value is replaced by the typed one
+ * Returns the decision record, which is also appended to results.reviewDecisions.
+ */
+function applyReviewDecision(results, kind, value, action, editedValue = '', overrideProfile = false) {
+    if (!['accept', 'reject', 'edit'].includes(action)) {
+        throw new Error(`Unknown review action: ${action}`);
+    }
+    
+    const profile = getFormatProfile(results.profileId);
+    if (action === 'edit') {
+        const error = validateReviewValue(editedValue, profile);
+        if (error) throw new Error(error);
+    }
+    const profileError = kind === 'invalid' && action === 'accept' ? validateReviewValue(value, profile, value) : null;
+    if (profileError && !overrideProfile) throw new Error(profileError);
+    
+    const decision = { kind, value, action, finalValue: null, decidedAt: new Date().toISOString() };
+    if (profileError) decision.profileOverride = profileError;
+    const provenance = results.provenance || (results.provenance = {});
+    
+    const addAccepted = (v, original) => {
+        if (!results.accepted.includes(v)) results.accepted.push(v);
+        if (original && original !== v) {
+            provenance[v] = (provenance[v] || []).concat(provenance[original] || []);
+        }
+    };
+    // Takes back what one correction added to its corrected value; the value
+    // stays accepted while it was also found as itself or via another correction
+    const withdrawCorrection = (correction) => {
+        const v = correction.corrected;
+        const own = correction.occurrences || [];
+        const remaining = (provenance[v] || []).filter(o => !own.some(c =>
+            c.pageNum === o.pageNum && c.x === o.x && c.y === o.y && c.source === o.source));
+        if (remaining.length > 0) provenance[v] = remaining;
+        else delete provenance[v];
+        
+        const otherCorrection = results.autoCorrections.some(c => c !== correction && c.corrected === v);
+        if (remaining.length === 0 && !otherCorrection) {
+            results.accepted = results.accepted.filter(a => a !== v);
+        }
+    };
+    
+    if (kind === 'invalid') {
+        const idx = results.invalid.findIndex(e => e.value === value);
+        if (idx === -1) throw new Error(`${value} is no longer in the invalid list`);
+        const [entry] = results.invalid.splice(idx, 1);
+        decision.reason = entry.reason;
+        
+        if (action === 'accept') {
+            addAccepted(value);
+            decision.finalValue = value;
+        } else if (action === 'reject') {
+            results.excluded.push({ value, reason: `Rejected in review (${entry.reason})`, occurrences: entry.occurrences || [] });
+        } else {
+            results.autoCorrections.push({
+                original: value,
+                corrected: editedValue,
+                confidence: 1,
+                reason: 'Corrected in review',
+                manual: true,
+                reviewed: 'edited',
+                occurrences: entry.occurrences || []
+            });
+            addAccepted(editedValue, value);
+            decision.finalValue = editedValue;
+        }
+    } else if (kind === 'correction') {
+        const idx = results.autoCorrections.findIndex(c => c.original === value);
+        if (idx === -1) throw new Error(`${value} is no longer in the auto-corrections list`);
+        const correction = results.autoCorrections[idx];
+        decision.reason = correction.reason;
+        decision.previous = correction.corrected;
+        
+        if (action === 'accept') {
+            correction.reviewed = 'accepted';
+            decision.finalValue = correction.corrected;
+        } else if (action === 'reject') {
+            results.autoCorrections.splice(idx, 1);
+            withdrawCorrection(correction);
+            results.excluded.push({
+                value,
+                reason: `Correction to ${correction.corrected} rejected in review`,
+                occurrences: correction.occurrences || []
+            });
+        } else {
+            withdrawCorrection(correction);
+            correction.reason = `Corrected in review (auto: ${correction.corrected})`;
+            correction.corrected = editedValue;
+            correction.confidence = 1;
+            correction.manual = true;
+            correction.reviewed = 'edited';
+            addAccepted(editedValue, value);
+            decision.finalValue = editedValue;
+        }
+    } else {
+        throw new Error(`Unknown review item kind: ${kind}`);
+    }
+    
+    results.uniqueCount = new Set(results.accepted).size;
+    (results.reviewDecisions = results.reviewDecisions || []).push(decision);
+    recordAuditStep(results, value, 'review', { action, finalValue: decision.finalValue }, action, `reviewer: ${formatReviewDecision(decision)}`);
+    // The final value explains itself through the number the reviewer changed
+    if (decision.finalValue && decision.finalValue !== value) {
+        const trail = getAuditTrail(results, value);
+        results.audit[decision.finalValue] = getAuditTrail(results, decision.finalValue).length > 0
+            ? [...getAuditTrail(results, decision.finalValue), trail[trail.length - 1]]
+            : trail.slice();
+    }
+    return decision;
+}
+
+function formatReviewDecision(d) {
+    const verb = { accept: 'accepted', reject: 'rejected', edit: 'edited' }[d.action];
+    const kind = d.kind === 'correction' ? `correction ${d.value} → ${d.previous}` : d.value;
+    const text = d.finalValue ? `${kind} ${verb} → ${d.finalValue}` : `${kind} ${verb}`;
+    return d.profileOverride ? `${text} (profile check overridden: ${d.profileOverride})` : text;
+}
+
+function createReviewModal() {
+    if (document.getElementById('reviewModal')) return;
+    
+    const html = `
+        <div id="reviewModal" class="modal-overlay" onclick="closeReview(event)">
+            <div class="modal-container review-container" onclick="event.stopPropagation()">
+                <div class="modal-header">
+                    <h3 id="reviewTitle">📝 Review Queue</h3>
+                    <button class="modal-close" onclick="closeReview()">&times;</button>
+                </div>
+                <div class="modal-search">
+                    <span id="reviewCount" class="modal-count">0 items</span>
+                </div>
+                <div class="modal-body" id="reviewBody"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" onclick="closeReview()">Close</button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', html);
+}
+
+/**
+ * Opens the review queue for one file, or for every processed file when
+ * no fileId is given.
+ */
+function showReviewQueue(fileId = '') {
+    createReviewModal();
+    const modal = document.getElementById('reviewModal');
+    modal.dataset.fileId = fileId;
+    renderReviewQueue();
+    modal.style.display = 'flex';
+    document.body.style.overflow = 'hidden';
+}
+
+function renderReviewQueue() {
+    const modal = document.getElementById('reviewModal');
+    if (!modal) return;
+    const onlyFileId = modal.dataset.fileId;
+    const body = document.getElementById('reviewBody');
+    
+    let total = 0;
+    let html = '';
+    
+    for (const [fileId, fileData] of AppState.files) {
+        if (onlyFileId && fileId !== onlyFileId) continue;
+        const queue = getReviewQueue(fileData.results);
+        const decisions = fileData.results?.reviewDecisions || [];
+        if (queue.length === 0 && decisions.length === 0) continue;
+        total += queue.length;
+        
+        html += `<div class="review-file">
+            <div class="review-file-header">
+                <span>${Utils.escapeHtml(fileData.name)}</span>
+                <span class="badge badge-red">${queue.length} open</span>
+            </div>`;
+        
+        queue.forEach((q, i) => {
+            const isCorrection = q.kind === 'correction';
+            const occurrences = (q.entry.occurrences || []).map(o => ({ ...o, fileId }));
+            const label = isCorrection ? `${q.entry.original} → ${q.entry.corrected}` : q.value;
+            const inputId = `review_${fileId}_${i}`;
+            const args = `'${fileId}','${q.kind}','${Utils.escapeHtml(q.value)}'`;
+            html += `
+                <div class="modal-item review-item ${isCorrection ? 'modal-item-correction' : ''}">
+                    ${isCorrection
+                        ? `<span class="modal-value original">${Utils.escapeHtml(q.entry.original)}</span>
+                           <span class="modal-arrow">→</span>
+                           <span class="modal-value corrected">${Utils.escapeHtml(q.entry.corrected)}</span>`
+                        : `<span class="modal-value">${Utils.escapeHtml(q.value)}</span>`}
+                    <span class="modal-reason">${Utils.escapeHtml(q.entry.reason)}</span>
+                    ${q.entry.alternatives ? `<div class="review-alternatives">Candidates: ${q.entry.alternatives.map(a =>
+                        `<button class="review-alternative" onclick="document.getElementById('${inputId}').value='${a.value}'">${a.value} (${formatConfidence(a.confidence)})</button>`
+                    ).join('')}</div>` : ''}
+                    <div class="review-actions">
+                        <button class="btn btn-success btn-small" onclick="reviewItem(${args},'accept')">✅ Accept</button>
+                        <button class="btn btn-danger btn-small" onclick="reviewItem(${args},'reject')">❌ Reject</button>
+                        <input type="text" id="${inputId}" class="review-input" placeholder="Corrected value" inputmode="numeric">
+                        <button class="btn btn-primary btn-small" onclick="reviewItem(${args},'edit','${inputId}')">✏️ Apply</button>
+                    </div>
+                    ${renderOccurrences(occurrences, label)}
+                </div>`;
+        });
+        
+        if (decisions.length > 0) {
+            html += `<div class="review-decisions">
+                ${decisions.map(d => `<div class="review-decision review-${d.action}">${Utils.escapeHtml(formatReviewDecision(d))}</div>`).join('')}
+            </div>`;
+        }
+        
+        html += '</div>';
+    }
+    
+    document.getElementById('reviewCount').textContent = `${total} open items`;
+    body.innerHTML = html || '<div class="modal-empty">Nothing to review 🎉</div>';
+}
+
+function reviewItem(fileId, kind, value, action, inputId = '') {
+    const fileData = AppState.files.get(fileId);
+    if (!fileData?.results) return;
+    
+    const editedValue = inputId ? (document.getElementById(inputId)?.value || '').replace(/\s+/g, '') : '';
+    
+    // Accepting an invalid value as-is needs an explicit override
+    let overrideProfile = false;
+    if (kind === 'invalid' && action === 'accept') {
+        const error = validateReviewValue(value, getFormatProfile(fileData.results.profileId), value);
+        if (error) {
+            if (!confirm(`${error}.\n\nAccept ${value} anyway?`)) return;
+            overrideProfile = true;
+        }
+    }
+    
+    try {
+        const decision = applyReviewDecision(fileData.results, kind, value, action, editedValue, overrideProfile);
+        refreshFileExcel(fileId);
+        showNotification(`${fileData.name}: ${formatReviewDecision(decision)}`, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return;
+    }
+    
+    updateFileList();
+    updateDashboard();
+    renderReviewQueue();
+    scheduleSessionSave();
+}
+
+function closeReview(event) {
+    if (event && event.target.id !== 'reviewModal') return;
+    const modal = document.getElementById('reviewModal');
+    if (modal) {
+        modal.style.display = 'none';
+        document.body.style.overflow = '';
+    }
+}
+
+// =============================================================================
+// SESSION PERSISTENCE (INDEXEDDB)
+// =============================================================================
+
+const SessionState = {
+    db: null,
+    currentId: null,        // session the current batch is saved into
+    saveTimer: null,
+    saveChain: Promise.resolve(),   // saves run one after another
+    savedBlobs: new Map(),  // blob key → Blob already stored for currentId
+    offerId: null           // session offered for restore on startup
+};
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function openAppDB() {
+    if (SessionState.db) return SessionState.db;
+    if (typeof indexedDB === 'undefined') throw new Error('IndexedDB is not available in this browser');
+    
+    const request = indexedDB.open(CONFIG.SESSION_DB_NAME, CONFIG.SESSION_DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(CONFIG.SESSION_STORE, { keyPath: 'id' });
+        db.createObjectStore(CONFIG.LEDGER_STORE, { keyPath: 'value' });
+        db.createObjectStore(CONFIG.SESSION_BLOB_STORE, { keyPath: 'id' }).createIndex('sessionId', 'sessionId');
+    };
+    SessionState.db = await idbRequest(request);
+    return SessionState.db;
+}
+
+async function appStore(storeName, mode) {
+    const db = await openAppDB();
+    return db.transaction(storeName, mode).objectStore(storeName);
+}
+
+function sessionStore(mode) {
+    return appStore(CONFIG.SESSION_STORE, mode);
+}
+
+/**
+ * Snapshot of the batch as a structured-clonable record: metadata and
+ * results (incl. review decisions). The PDFs and Excel files go to the blob
+ * store, see getSessionBlobChanges.
+ */
+function serializeSession(files, meta) {
+    const fileList = Array.from(files.values());
+    return {
+        id: meta.id,
+        name: meta.name,
+        createdAt: meta.createdAt,
+        updatedAt: Date.now(),
+        fileCount: fileList.length,
+        doneCount: fileList.filter(f => f.status === 'done').length,
+        files: fileList.map(f => ({
+            id: f.id,
+            name: f.name,
+            size: f.size,
+            status: f.status,
+            error: f.error,
+            emptyReason: f.emptyReason || null,
+            results: f.results
+        }))
+    };
+}
+
+function sessionBlobKey(sessionId, kind, fileId) {
+    return `${sessionId}:${kind}:${fileId}`;
+}
+
+/**
+ * Blob store writes for a save: blobs that are new or replaced since the
+ * last save (savedBlobs: key → Blob), and keys of files no longer in the
+ * batch. Returns { puts: [{ id, sessionId, kind, fileId, blob }], deletes }.
+ */
+function getSessionBlobChanges(sessionId, files, excelBlobs, savedBlobs) {
+    const current = new Map();
+    for (const f of files.values()) {
+        if (f.file) current.set(sessionBlobKey(sessionId, 'pdf', f.id), { kind: 'pdf', fileId: f.id, blob: f.file });
+    }
+    for (const [fileId, blob] of excelBlobs) {
+        current.set(sessionBlobKey(sessionId, 'excel', fileId), { kind: 'excel', fileId, blob });
+    }
+    
+    const puts = [];
+    for (const [id, entry] of current) {
+        if (savedBlobs.get(id) !== entry.blob) puts.push({ id, sessionId, ...entry });
+    }
+    const deletes = [...savedBlobs.keys()].filter(id => !current.has(id));
+    return { puts, deletes };
+}
+
+/**
+ * Rebuilds AppState.files / excelBlobs from a saved record and its blob
+ * store entries. Files that were mid-processing when the session was saved
+ * go back to 'pending'.
+ */
+function deserializeSession(record, blobs = []) {
+    const pdfs = new Map(blobs.filter(b => b.kind === 'pdf').map(b => [b.fileId, b.blob]));
+    const files = new Map();
+    for (const f of record.files || []) {
+        const status = f.status === 'processing' ? 'pending' : f.status;
+        files.set(f.id, { ...f, file: pdfs.get(f.id) || null, status, results: status === 'done' ? f.results : null });
+    }
+    const excelBlobs = new Map(blobs
+        .filter(b => b.kind === 'excel' && files.has(b.fileId))
+        .map(b => [b.fileId, b.blob]));
+    return { files, excelBlobs };
+}
+
+async function writeSession() {
+    if (AppState.files.size === 0) return;
+    
+    try {
+        const store = await sessionStore('readonly');
+        const existing = SessionState.currentId ? await idbRequest(store.get(SessionState.currentId)) : null;
+        const meta = existing || {
+            id: Utils.generateId(),
+            name: `Session ${new Date().toLocaleString()}`,
+            createdAt: Date.now()
+        };
+        if (!existing) SessionState.savedBlobs = new Map();
+        
+        const { puts, deletes } = getSessionBlobChanges(meta.id, AppState.files, AppState.excelBlobs, SessionState.savedBlobs);
+        if (puts.length > 0 || deletes.length > 0) {
+            const blobStore = await appStore(CONFIG.SESSION_BLOB_STORE, 'readwrite');
+            await Promise.all([
+                ...puts.map(b => idbRequest(blobStore.put(b))),
+                ...deletes.map(id => idbRequest(blobStore.delete(id)))
+            ]);
+            for (const b of puts) SessionState.savedBlobs.set(b.id, b.blob);
+            for (const id of deletes) SessionState.savedBlobs.delete(id);
+        }
+        
+        const record = serializeSession(AppState.files, meta);
+        await idbRequest((await sessionStore('readwrite')).put(record));
+        SessionState.currentId = record.id;
+        console.log(`💾 Session saved: ${record.name} (${record.fileCount} files, ${puts.length} new blobs)`);
+    } catch (error) {
+        console.warn('⚠️ Could not save session:', error);
+    }
+}
+
+/**
+ * Saves the batch now. Saves are chained, so a direct call (e.g. from
+ * recordExports) never races a debounced one into a second session record.
+ */
+function saveSession() {
+    clearTimeout(SessionState.saveTimer);
+    SessionState.saveTimer = null;
+    SessionState.saveChain = SessionState.saveChain.then(writeSession);
+    return SessionState.saveChain;
+}
+
+/**
+ * The next save creates a new session instead of updating the current one.
+ */
+function startNewSession() {
+    clearTimeout(SessionState.saveTimer);
+    SessionState.currentId = null;
+    SessionState.savedBlobs = new Map();
+}
+
+/**
+ * Debounced save - called after anything that changes files or results.
+ */
+function scheduleSessionSave() {
+    clearTimeout(SessionState.saveTimer);
+    SessionState.saveTimer = setTimeout(saveSession, CONFIG.SESSION_SAVE_DELAY);
+}
+
+async function listSessions() {
+    const sessions = await idbRequest((await sessionStore('readonly')).getAll());
+    return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+async function restoreSession(sessionId) {
+    if (AppState.isProcessing) {
+        showNotification('Please wait for processing to complete.', 'warning');
+        return;
+    }
+    if (AppState.files.size > 0 && SessionState.currentId !== sessionId &&
+        !confirm('Replace the current files with the saved session?')) {
+        return;
+    }
+    
+    try {
+        await SessionState.saveChain;
+        const record = await idbRequest((await sessionStore('readonly')).get(sessionId));
+        if (!record) throw new Error('Session not found');
+        const blobStore = await appStore(CONFIG.SESSION_BLOB_STORE, 'readonly');
+        const blobs = await idbRequest(blobStore.index('sessionId').getAll(sessionId));
+        
+        const { files, excelBlobs } = deserializeSession(record, blobs);
+        if (PreviewState.pdf) {
+            PreviewState.pdf.destroy();
+            PreviewState.pdf = null;
+            PreviewState.fileId = null;
+        }
+        AppState.files = files;
+        AppState.excelBlobs = excelBlobs;
+        SessionState.currentId = record.id;
+        SessionState.savedBlobs = new Map(blobs.map(b => [b.id, b.blob]));
+        
+        hideSessionBanner();
+        closeSessionManager();
+        closeModal();
+        updateFileList();
+        updateDashboard();
+        showNotification(`Restored "${record.name}" (${files.size} files)`, 'success');
+    } catch (error) {
+        console.error('❌ Error restoring session:', error);
+        showNotification('Error restoring session.', 'error');
+    }
+}
+
+async function renameSession(sessionId) {
+    try {
+        const record = await idbRequest((await sessionStore('readonly')).get(sessionId));
+        if (!record) return;
+        const name = prompt('Session name:', record.name);
+        if (!name || !name.trim()) return;
+        record.name = name.trim();
+        await idbRequest((await sessionStore('readwrite')).put(record));
+        renderSessionList();
+    } catch (error) {
+        console.error('❌ Error renaming session:', error);
+        showNotification('Error renaming session.', 'error');
+    }
+}
+
+async function deleteSession(sessionId) {
+    if (!confirm('Delete this saved session?')) return;
+    try {
+        await SessionState.saveChain;
+        await idbRequest((await sessionStore('readwrite')).delete(sessionId));
+        const blobStore = await appStore(CONFIG.SESSION_BLOB_STORE, 'readwrite');
+        const blobKeys = await idbRequest(blobStore.index('sessionId').getAllKeys(sessionId));
+        await Promise.all(blobKeys.map(id => idbRequest(blobStore.delete(id))));
+        if (!LedgerState.loaded) await loadLedger();
+        await saveLedgerEntries(unlinkLedgerSession(LedgerState.entries, sessionId));
+        if (SessionState.currentId === sessionId) startNewSession();
+        if (SessionState.offerId === sessionId) hideSessionBanner();
+        renderSessionList();
+    } catch (error) {
+        console.error('❌ Error deleting session:', error);
+        showNotification('Error deleting session.', 'error');
+    }
+}
+
+/**
+ * On startup: offer the most recent session for restore.
+ */
+async function offerSessionRestore() {
+    try {
+        const [latest] = await listSessions();
+        if (!latest) return;
+        SessionState.offerId = latest.id;
+        document.getElementById('sessionBannerText').textContent =
+            `💾 Last session "${latest.name}" - ${latest.doneCount}/${latest.fileCount} files processed, saved ${new Date(latest.updatedAt).toLocaleString()}`;
+        document.getElementById('sessionBanner').style.display = 'flex';
+    } catch (error) {
+        console.warn('⚠️ Saved sessions unavailable:', error);
+    }
+}
+
+function hideSessionBanner() {
+    SessionState.offerId = null;
+    const banner = document.getElementById('sessionBanner');
+    if (banner) banner.style.display = 'none';
+}
+
+function createSessionModal() {
+    if (document.getElementById('sessionModal')) return;
+    
+    const html = `
+        <div id="sessionModal" class="modal-overlay" onclick="closeSessionManager(event)">
+            <div class="modal-container session-container" onclick="event.stopPropagation()">
+                <div class="modal-header">
+                    <h3>🗂️ Saved Sessions</h3>
+                    <button class="modal-close" onclick="closeSessionManager()">&times;</button>
+                </div>
+                <div class="modal-search">
+                    <span id="sessionCount" class="modal-count">0 sessions</span>
+                </div>
+                <div class="modal-body" id="sessionBody"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" onclick="closeSessionManager()">Close</button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', html);
+}
+
+function showSessionManager() {
+    createSessionModal();
+    document.getElementById('sessionModal').style.display = 'flex';
+    document.body.style.overflow = 'hidden';
+    renderSessionList();
+}
+
+async function renderSessionList() {
+    const body = document.getElementById('sessionBody');
+    if (!body) return;
+    
+    let sessions;
+    try {
+        sessions = await listSessions();
+    } catch (error) {
+        body.innerHTML = `<div class="modal-empty">${Utils.escapeHtml(error.message)}</div>`;
+        return;
+    }
+    
+    document.getElementById('sessionCount').textContent = `${sessions.length} session${sessions.length === 1 ? '' : 's'}`;
+    
+    if (sessions.length === 0) {
+        body.innerHTML = '<div class="modal-empty">No saved sessions</div>';
+        return;
+    }
+    
+    body.innerHTML = sessions.map(s => `
+        <div class="session-item${s.id === SessionState.currentId ? ' current' : ''}">
+            <div class="session-info">
+                <span class="session-name">${Utils.escapeHtml(s.name)}${s.id === SessionState.currentId ? ' (current)' : ''}</span>
+                <span class="session-meta">${s.doneCount}/${s.fileCount} files processed · saved ${new Date(s.updatedAt).toLocaleString()}</span>
+            </div>
+            <div class="review-actions">
+                <button class="btn btn-primary btn-small" onclick="restoreSession('${s.id}')">♻️ Restore</button>
+                <button class="btn btn-secondary btn-small" onclick="renameSession('${s.id}')">✏️ Rename</button>
+                <button class="btn btn-danger btn-small" onclick="deleteSession('${s.id}')">🗑️ Delete</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+function closeSessionManager(event) {
+    if (event && event.target.id !== 'sessionModal') return;
+    const modal = document.getElementById('sessionModal');
+    if (modal) {
+        modal.style.display = 'none';
+        document.body.style.overflow = '';
+    }
+}
+
+// =============================================================================
+// RESULTS EXPORT (VERSIONED JSON)
+// =============================================================================
+
+// Bump RESULTS_EXPORT_VERSION when the layout changes; older files are still
+// read as long as parseResultsExport knows their version.
+const RESULTS_EXPORT_FORMAT = 'dn-extractor-results';
+const RESULTS_EXPORT_VERSION = 1;
+
+/**
+ * Whole batch as a JSON-safe object: every file's results (reasons,
+ * corrections, provenance, review decisions), the options and profiles used
+ * and the extraction config. Source PDFs are not included.
+ */
+function buildResultsExport(files, options, expected = null) {
+    const fileList = Array.from(files.values());
+    const profileIds = new Set([options.profileId, ...fileList.map(f => f.results?.profileId)].filter(Boolean));
+    
+    return {
+        format: RESULTS_EXPORT_FORMAT,
+        version: RESULTS_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        appVersion: '7.3',
+        options: { ...options },
+        profiles: Object.fromEntries([...profileIds].map(id => [id, getFormatProfile(id)])),
+        transportFormat: getTransportIdFormat(options.transportFormatId),
+        // RegExp settings are written as their source text
+        config: JSON.parse(JSON.stringify(CONFIG, (key, value) => value instanceof RegExp ? String(value) : value)),
+        expected,
+        files: fileList.map(f => ({
+            id: f.id,
+            name: f.name,
+            size: f.size,
+            status: f.status,
+            error: f.error || null,
+            emptyReason: f.emptyReason || null,
+            results: f.results
+        }))
+    };
+}
+
+/**
+ * Reads an export back into { files, expected, profiles, exportedAt }.
+ * Files that were not done cannot be processed again (no PDF) and come back
+ * as errors.
+ */
+function parseResultsExport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Not a JSON file');
+    }
+    if (!data || data.format !== RESULTS_EXPORT_FORMAT || !Array.isArray(data.files)) {
+        throw new Error('Not a delivery note results export');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('Export has no valid version');
+    }
+    if (data.version > RESULTS_EXPORT_VERSION) {
+        throw new Error(`Export version ${data.version} is newer than this app supports (${RESULTS_EXPORT_VERSION})`);
+    }
+    
+    const files = new Map();
+    for (const f of data.files) {
+        const done = f.status === 'done' && f.results;
+        files.set(f.id, {
+            id: f.id,
+            file: null,
+            name: f.name,
+            size: f.size || 0,
+            status: done ? 'done' : 'error',
+            error: done ? null : (f.error || 'Source PDF not included in the imported results'),
+            emptyReason: f.emptyReason || null,
+            results: done ? f.results : null
+        });
+    }
+    return {
+        files,
+        expected: data.expected || null,
+        options: data.options || {},
+        profiles: data.profiles || {},
+        transportFormat: data.transportFormat || null,
+        exportedAt: data.exportedAt
+    };
+}
+
+function exportResultsJson() {
+    if (AppState.files.size === 0) {
+        showNotification('No files to export.', 'warning');
+        return;
+    }
+    const data = buildResultsExport(AppState.files, AppState.options, AppState.expected);
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json;charset=utf-8;' });
+    saveAs(blob, `delivery_notes_results_${Utils.formatTimestamp()}.json`);
+    showNotification('Results exported as JSON!', 'success');
+}
+
+/**
+ * Adds the imported profiles and Transport ID format this browser does not
+ * have yet; they are needed for reasons, review checks and the detailed
+ * workbook. Entries that would break validation are left out and returned as
+ * e.g. ['profile "x": unknown check-digit algorithm 'y''].
+ */
+function installImportedFormats(imported) {
+    const rejected = [];
+    for (const [id, profile] of Object.entries(imported.profiles)) {
+        if (FORMAT_PROFILES[id]) continue;
+        const problem = findFormatProfileProblem(profile) || (profile.id !== id ? `id "${profile.id}" does not match` : null);
+        if (problem) rejected.push(`profile "${id}": ${problem}`);
+        else FORMAT_PROFILES[id] = profile;
+    }
+    const transportFormat = imported.transportFormat;
+    if (transportFormat && !TRANSPORT_ID_FORMATS[transportFormat.id]) {
+        const problem = findTransportIdFormatProblem(transportFormat);
+        if (problem) rejected.push(`Transport ID format "${transportFormat.id}": ${problem}`);
+        else TRANSPORT_ID_FORMATS[transportFormat.id] = transportFormat;
+    }
+    return rejected;
+}
+
+/**
+ * Selects the format profile and Transport ID format the imported results
+ * were made with, so reviews and re-processing use the same rules.
+ * Returns what changed, e.g. ['format profile "9 digits"'].
+ */
+function restoreImportedOptions(options) {
+    const changed = [];
+    if (FORMAT_PROFILES[options.profileId] && options.profileId !== AppState.options.profileId) {
+        AppState.options.profileId = options.profileId;
+        saveProfileSelection(options.profileId);
+        changed.push(`format profile "${getFormatProfile(options.profileId).name}"`);
+    }
+    if (TRANSPORT_ID_FORMATS[options.transportFormatId] && options.transportFormatId !== AppState.options.transportFormatId) {
+        AppState.options.transportFormatId = options.transportFormatId;
+        saveTransportFormatSelection(options.transportFormatId);
+        changed.push(`Transport ID format "${getTransportIdFormat(options.transportFormatId).name}"`);
+    }
+    renderFormatSelects();
+    return changed;
+}
+
+async function importResultsJson(file) {
+    if (AppState.isProcessing) {
+        showNotification('Please wait for processing to complete.', 'warning');
+        return;
+    }
+    if (AppState.files.size > 0 && !confirm('Replace the current files with the imported results?')) {
+        return;
+    }
+    
+    try {
+        const imported = parseResultsExport(await file.text());
+        const rejected = installImportedFormats(imported);
+        const switched = restoreImportedOptions(imported.options);
+        
+        if (PreviewState.pdf) {
+            PreviewState.pdf.destroy();
+            PreviewState.pdf = null;
+            PreviewState.fileId = null;
+        }
+        AppState.files = imported.files;
+        AppState.excelBlobs = new Map();
+        AppState.expected = imported.expected;
+        for (const fileId of AppState.files.keys()) refreshFileExcel(fileId);
+        
+        // Saved as a new session, not over the one that was open
+        startNewSession();
+        scheduleSessionSave();
+        
+        closeModal();
+        updateExpectedListInfo();
+        updateFileList();
+        updateDashboard();
+        showNotification(`Imported ${AppState.files.size} files from ${file.name}`, 'success');
+        if (switched.length > 0) {
+            showNotification(`Switched to the exported ${switched.join(' and ')}`, 'info');
+        }
+        if (rejected.length > 0) {
+            console.warn('⚠️ Imported formats not installed:', rejected);
+            showNotification(`Ignored invalid ${rejected.join('; ')}`, 'warning');
+        }
+    } catch (error) {
+        console.error('❌ Results import error:', error);
+        showNotification(`Could not import results: ${error.message}`, 'error');
+    }
+}
+
+// =============================================================================
+// EXPORT LEDGER (PREVIOUSLY SUBMITTED NOTES)
+// =============================================================================
+
+// In-memory copy of the ledger store: value → { value, exportedAt, fileName, sessionId, sessionName }
+const LedgerState = {
+    entries: new Map(),
+    loaded: false
+};
+
+/**
+ * Merges ledger entries into `entries` (a Map by value). The first export of
+ * a number wins - that is the submission later batches are checked against.
+ * Returns the entries that were added or replaced.
+ */
+function mergeLedgerEntries(entries, incoming) {
+    const changed = [];
+    for (const raw of incoming) {
+        const value = String(raw.value ?? '').replace(/\s+/g, '');
+        if (!value) continue;
+        const entry = {
+            value,
+            exportedAt: raw.exportedAt || new Date().toISOString(),
+            fileName: raw.fileName || '',
+            sessionId: raw.sessionId || '',
+            sessionName: raw.sessionName || ''
+        };
+        const existing = entries.get(value);
+        if (existing && existing.exportedAt <= entry.exportedAt) continue;
+        entries.set(value, entry);
+        changed.push(entry);
+    }
+    return changed;
+}
+
+/**
+ * Drops the session link of the entries that point to a deleted session.
+ * The session name stays, marked as deleted. Returns the changed entries.
+ */
+function unlinkLedgerSession(entries, sessionId) {
+    const changed = [];
+    for (const [value, entry] of entries) {
+        if (entry.sessionId !== sessionId) continue;
+        const unlinked = { ...entry, sessionId: '', sessionName: `${entry.sessionName || 'Unnamed session'} (deleted)` };
+        entries.set(value, unlinked);
+        changed.push(unlinked);
+    }
+    return changed;
+}
+
+/**
+ * Accepted notes of `files` ([{ id, name, results }]) that the ledger already
+ * holds from another session. Returns modal-ready items with the earlier export.
+ */
+function findPreviouslySubmitted(files, entries, currentSessionId) {
+    const flagged = [];
+    for (const { id, name, results } of files) {
+        if (!results) continue;
+        for (const value of new Set(results.accepted || [])) {
+            const entry = entries.get(value);
+            if (!entry || (entry.sessionId && entry.sessionId === currentSessionId)) continue;
+            flagged.push({
+                value,
+                reason: `Previously submitted ${new Date(entry.exportedAt).toLocaleDateString()}` +
+                    `${entry.fileName ? ` from ${entry.fileName}` : ''}` +
+                    `${entry.sessionName ? ` (session "${entry.sessionName}")` : ''} - now in ${name}`,
+                sessionId: entry.sessionId,
+                ledger: entry,
+                occurrences: ((results.provenance || {})[value] || []).map(occ => ({ ...occ, file: name, fileId: id }))
+            });
+        }
+    }
+    return flagged.sort((a, b) => a.value.localeCompare(b.value));
+}
+
+function getBatchPreviouslySubmitted() {
+    return findPreviouslySubmitted(
+        Array.from(AppState.files.values()).filter(f => f.status === 'done' && f.results),
+        LedgerState.entries,
+        SessionState.currentId
+    );
+}
+
+async function loadLedger() {
+    try {
+        const entries = await idbRequest((await appStore(CONFIG.LEDGER_STORE, 'readonly')).getAll());
+        LedgerState.entries = new Map(entries.map(e => [e.value, e]));
+        LedgerState.loaded = true;
+        console.log(`📒 Ledger loaded: ${entries.length} previously exported notes`);
+    } catch (error) {
+        console.warn('⚠️ Export ledger unavailable:', error);
+    }
+}
+
+async function saveLedgerEntries(entries) {
+    if (entries.length === 0) return;
+    const store = await appStore(CONFIG.LEDGER_STORE, 'readwrite');
+    await Promise.all(entries.map(e => idbRequest(store.put(e))));
+}
+
+/**
+ * Records the accepted notes of the given files as exported. Called by every
+ * Excel download; the session is saved first so the ledger can point to it.
+ */
+async function recordExports(fileIds) {
+    try {
+        if (!SessionState.currentId) await saveSession();
+        const session = SessionState.currentId
+            ? await idbRequest((await sessionStore('readonly')).get(SessionState.currentId))
+            : null;
+        const exportedAt = new Date().toISOString();
+        
+        const incoming = [];
+        for (const fileId of fileIds) {
+            const fileData = AppState.files.get(fileId);
+            if (!fileData?.results || !AppState.excelBlobs.has(fileId)) continue;
+            for (const value of fileData.results.accepted || []) {
+                incoming.push({ value, exportedAt, fileName: fileData.name, sessionId: session?.id, sessionName: session?.name });
+            }
+        }
+        
+        const added = mergeLedgerEntries(LedgerState.entries, incoming);
+        await saveLedgerEntries(added);
+        if (added.length > 0) console.log(`📒 Ledger: recorded ${added.length} exported notes`);
+    } catch (error) {
+        console.warn('⚠️ Could not update export ledger:', error);
+    }
+}
+
+function ledgerToRows(entries) {
+    const rows = [['Delivery Note', 'Exported At', 'Source File', 'Session ID', 'Session Name']];
+    const sorted = Array.from(entries.values()).sort((a, b) => a.value.localeCompare(b.value));
+    for (const e of sorted) {
+        rows.push([e.value, e.exportedAt, e.fileName, e.sessionId, e.sessionName]);
+    }
+    return rows;
+}
+
+/**
+ * Parses an exported ledger (JSON from exportLedger, or CSV with the
+ * ledgerToRows header) into ledger entries.
+ */
+function parseLedgerFile(text, fileName) {
+    if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+        const data = JSON.parse(text);
+        return Array.isArray(data) ? data : (data.entries || []);
+    }
+    
+    const wb = XLSX.read(text, { type: 'string', raw: true });
+    const rows = XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { raw: false, defval: '' });
+    return rows.map(r => ({
+        value: r['Delivery Note'],
+        exportedAt: r['Exported At'],
+        fileName: r['Source File'],
+        sessionId: r['Session ID'],
+        sessionName: r['Session Name']
+    }));
+}
+
+function exportLedger(format) {
+    if (LedgerState.entries.size === 0) {
+        showNotification('The ledger is empty.', 'warning');
+        return;
     }
     
-    return await zip.generateAsync({ type: 'blob' });
+    let blob;
+    if (format === 'json') {
+        const data = {
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            entries: Array.from(LedgerState.entries.values())
+        };
+        blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    } else {
+        const csv = ledgerToRows(LedgerState.entries)
+            .map(row => row.map(v => `"${String(v ?? '').replace(/"/g, '""')}"`).join(','))
+            .join('\n');
+        blob = new Blob([csv + '\n'], { type: 'text/csv;charset=utf-8;' });
+    }
+    saveAs(blob, `delivery_note_ledger_${Utils.formatTimestamp()}.${format}`);
 }
 
-// =============================================================================
-// MODAL SYSTEM
-// =============================================================================
+async function importLedger(file) {
+    try {
+        const incoming = parseLedgerFile(await file.text(), file.name);
+        const added = mergeLedgerEntries(LedgerState.entries, incoming);
+        await saveLedgerEntries(added);
+        updateDashboard();
+        renderLedger();
+        showNotification(`Ledger import: ${added.length} of ${incoming.length} entries added`, 'success');
+    } catch (error) {
+        console.error('❌ Ledger import error:', error);
+        showNotification('Could not import ledger file.', 'error');
+    }
+}
 
-function createModal() {
-    const existingModal = document.getElementById('detailModal');
-    if (existingModal) existingModal.remove();
+async function clearLedger() {
+    if (!confirm('Remove every entry from the export ledger?')) return;
+    try {
+        await idbRequest((await appStore(CONFIG.LEDGER_STORE, 'readwrite')).clear());
+        LedgerState.entries.clear();
+        updateDashboard();
+        renderLedger();
+    } catch (error) {
+        console.error('❌ Ledger clear error:', error);
+        showNotification('Could not clear the ledger.', 'error');
+    }
+}
+
+function createLedgerModal() {
+    if (document.getElementById('ledgerModal')) return;
     
-    const modalHtml = `
-        <div id="detailModal" class="modal-overlay" onclick="closeModal(event)">
-            <div class="modal-container" onclick="event.stopPropagation()">
+    const html = `
+        <div id="ledgerModal" class="modal-overlay" onclick="closeLedger(event)">
+            <div class="modal-container session-container" onclick="event.stopPropagation()">
                 <div class="modal-header">
-                    <h3 id="modalTitle">Details</h3>
-                    <button class="modal-close" onclick="closeModal()">&times;</button>
+                    <h3>📒 Export Ledger</h3>
+                    <button class="modal-close" onclick="closeLedger()">&times;</button>
                 </div>
                 <div class="modal-search">
-                    <input type="text" id="modalSearch" placeholder="Search..." onkeyup="filterModalContent()">
-                    <span id="modalCount" class="modal-count">0 items</span>
+                    <span id="ledgerCount" class="modal-count">0 notes</span>
                 </div>
-                <div class="modal-body" id="modalBody"></div>
+                <div class="modal-body" id="ledgerBody"></div>
                 <div class="modal-footer">
-                    <button class="btn btn-secondary" onclick="closeModal()">Close</button>
-                    <button class="btn btn-primary" onclick="exportModalContent()">📥 Export to CSV</button>
+                    <input type="file" id="ledgerImportInput" accept=".csv,.json,text/csv,application/json" style="display: none;"
+                           onchange="if (this.files[0]) importLedger(this.files[0]); this.value = '';">
+                    <button class="btn btn-secondary" onclick="document.getElementById('ledgerImportInput').click()">📂 Import CSV/JSON</button>
+                    <button class="btn btn-primary" onclick="exportLedger('csv')">📥 Export CSV</button>
+                    <button class="btn btn-primary" onclick="exportLedger('json')">📥 Export JSON</button>
+                    <button class="btn btn-danger" onclick="clearLedger()">🗑️ Clear</button>
                 </div>
             </div>
         </div>
     `;
-    
-    document.body.insertAdjacentHTML('beforeend', modalHtml);
+    document.body.insertAdjacentHTML('beforeend', html);
 }
 
-function showModal(title, items, type) {
-    createModal();
-    
-    const modal = document.getElementById('detailModal');
-    document.getElementById('modalTitle').textContent = title;
-    document.getElementById('modalCount').textContent = `${items.length} items`;
-    
-    modal.dataset.items = JSON.stringify(items);
-    modal.dataset.type = type;
-    modal.dataset.title = title;
-    
-    renderModalItems(items, type);
-    
-    modal.style.display = 'flex';
+function showLedger() {
+    createLedgerModal();
+    document.getElementById('ledgerModal').style.display = 'flex';
     document.body.style.overflow = 'hidden';
+    renderLedger();
 }
 
-function renderModalItems(items, type) {
-    const modalBody = document.getElementById('modalBody');
+function renderLedger() {
+    const body = document.getElementById('ledgerBody');
+    if (!body) return;
     
-    if (items.length === 0) {
-        modalBody.innerHTML = '<div class="modal-empty">No items to display</div>';
+    const count = LedgerState.entries.size;
+    document.getElementById('ledgerCount').textContent = `${count} note${count === 1 ? '' : 's'} exported in past sessions`;
+    
+    if (count === 0) {
+        body.innerHTML = '<div class="modal-empty">No exported delivery notes recorded yet</div>';
         return;
     }
     
-    let html = '<div class="modal-list">';
+    // Most recent exports first
+    const recent = Array.from(LedgerState.entries.values())
+        .sort((a, b) => b.exportedAt.localeCompare(a.exportedAt))
+        .slice(0, 500);
+    body.innerHTML = '<div class="modal-list">' + recent.map(e => `
+        <div class="modal-item">
+            <span class="modal-value">${Utils.escapeHtml(e.value)}</span>
+            <span class="modal-reason">${Utils.escapeHtml(new Date(e.exportedAt).toLocaleString())} · ${Utils.escapeHtml(e.fileName)}${e.sessionName ? ` · ${Utils.escapeHtml(e.sessionName)}` : ''}</span>
+        </div>
+    `).join('') + (count > 500 ? `<div class="modal-truncated">... and ${count - 500} older entries</div>` : '') + '</div>';
+}
+
+function closeLedger(event) {
+    if (event && event.target.id !== 'ledgerModal') return;
+    const modal = document.getElementById('ledgerModal');
+    if (modal) {
+        modal.style.display = 'none';
+        document.body.style.overflow = '';
+    }
+}
+
+// =============================================================================
+// RECONCILIATION (EXPECTED LIST)
+// =============================================================================
+
+/**
+ * Delivery note numbers from an uploaded expected list (rows = array of
+ * arrays from SheetJS). If the first row has a delivery note header, only
+ * that column is read; otherwise every numeric cell counts.
+ */
+function parseExpectedRows(rows, profile = FORMAT_PROFILES.default) {
+    const headerLabels = [...CONFIG.HEADER_LABELS, 'Delivery Note No', 'DN', 'Lieferscheinnummer'];
+    const matchers = headerLabels.map(buildHeaderLabelRegex);
+    const header = rows[0] || [];
+    const column = header.findIndex(cell => matchers.some(rx => rx.test(String(cell).trim())));
+    
+    const cells = column >= 0
+        ? rows.slice(1).map(row => row[column])
+        : rows.flat();
+    
+    const values = new Set();
+    for (const cell of cells) {
+        let value = String(cell ?? '').replace(/\s+/g, '').replace(/\.0+$/, '');
+        if (!/^\d+$/.test(value) || value.length < profile.candidateLengths.min) continue;
+        if (profile.corrections.stripLeadingZeros && value.length > profile.length) {
+            value = value.replace(/^0+(?=\d)/, '').padStart(profile.length, '0');
+        }
+        values.add(value);
+    }
+    return [...values];
+}
+
+/**
+ * Compares the expected list with the accepted notes of `files`
+ * ([{ id, name, results }]) and splits them into matched, missing
+ * (expected, not extracted) and unexpected (extracted, not expected).
+ */
+function reconcileExpected(expectedValues, files) {
+    const found = new Map();
+    for (const { id, name, results } of files) {
+        if (!results) continue;
+        for (const value of new Set(results.accepted || [])) {
+            const occurrences = ((results.provenance || {})[value] || [])
+                .map(occ => ({ ...occ, file: name, fileId: id }));
+            if (!found.has(value)) found.set(value, { names: [], occurrences: [] });
+            found.get(value).names.push(name);
+            found.get(value).occurrences.push(...occurrences);
+        }
+    }
     
-    for (const item of items.slice(0, 500)) {
-        if (type === 'autocorrection') {
-            html += `
-                <div class="modal-item modal-item-correction">
-                    <span class="modal-value original">${Utils.escapeHtml(item.original)}</span>
-                    <span class="modal-arrow">→</span>
-                    <span class="modal-value corrected">${Utils.escapeHtml(item.corrected)}</span>
-                    <span class="modal-reason">${Utils.escapeHtml(item.reason)}</span>
-                </div>`;
-        } else if (type === 'duplicate') {
-            // Special formatting for duplicates showing count
-            const countBadge = item.count ? `<span class="duplicate-count">×${item.count}</span>` : '';
-            html += `
-                <div class="modal-item modal-item-duplicate">
-                    <span class="modal-value">${Utils.escapeHtml(item.value)}</span>
-                    ${countBadge}
-                    <span class="modal-reason">${Utils.escapeHtml(item.reason)}</span>
-                </div>`;
-        } else if (typeof item === 'object') {
-            html += `
-                <div class="modal-item">
-                    <span class="modal-value">${Utils.escapeHtml(item.value)}</span>
-                    <span class="modal-reason">${Utils.escapeHtml(item.reason)}</span>
-                </div>`;
+    const expected = new Set(expectedValues);
+    const matched = [];
+    const missing = [];
+    const unexpected = [];
+    
+    for (const value of [...expected].sort()) {
+        const hit = found.get(value);
+        if (hit) {
+            matched.push({ value, reason: `Found in ${hit.names.join('; ')}`, files: hit.names, occurrences: hit.occurrences });
         } else {
-            html += `
-                <div class="modal-item">
-                    <span class="modal-value">${Utils.escapeHtml(item)}</span>
-                </div>`;
+            missing.push({ value, reason: 'Expected but not found in any file', files: [], occurrences: [] });
         }
     }
-    
-    if (items.length > 500) {
-        html += `<div class="modal-truncated">... and ${items.length - 500} more items</div>`;
+    for (const value of [...found.keys()].sort()) {
+        if (expected.has(value)) continue;
+        const hit = found.get(value);
+        unexpected.push({ value, reason: `Extracted from ${hit.names.join('; ')} but not on the expected list`, files: hit.names, occurrences: hit.occurrences });
     }
     
-    html += '</div>';
-    modalBody.innerHTML = html;
+    return { matched, missing, unexpected };
 }
 
-function filterModalContent() {
-    const query = document.getElementById('modalSearch').value.toLowerCase();
-    const modal = document.getElementById('detailModal');
-    const items = JSON.parse(modal.dataset.items || '[]');
-    const type = modal.dataset.type;
-    
-    const filtered = items.filter(item => {
-        if (typeof item === 'object') {
-            return Object.values(item).some(v => String(v).toLowerCase().includes(query));
-        }
-        return String(item).toLowerCase().includes(query);
-    });
-    
-    document.getElementById('modalCount').textContent = `${filtered.length} of ${items.length} items`;
-    renderModalItems(filtered, type);
+function getBatchReconciliation() {
+    if (!AppState.expected) return null;
+    const files = Array.from(AppState.files.values()).filter(f => f.status === 'done' && f.results);
+    return reconcileExpected(AppState.expected.values, files);
 }
 
-function closeModal(event) {
-    if (event && event.target.id !== 'detailModal') return;
-    const modal = document.getElementById('detailModal');
-    if (modal) {
-        modal.style.display = 'none';
-        document.body.style.overflow = '';
+function buildReconciliationSheets(reconciliation, expectedName) {
+    const withFiles = (items) => [
+        ['Delivery Note', 'Found In', 'Pages'],
+        ...items.map(i => [i.value, i.files.join('; '), formatPages(i.occurrences)])
+    ];
+    return {
+        'Matched': withFiles(reconciliation.matched),
+        'Missing': [['Delivery Note'], ...reconciliation.missing.map(i => [i.value])],
+        'Unexpected': withFiles(reconciliation.unexpected),
+        'Summary': [
+            ['Expected List', expectedName],
+            ['Matched', reconciliation.matched.length],
+            ['Expected but Missing', reconciliation.missing.length],
+            ['Extracted but Unexpected', reconciliation.unexpected.length],
+            ['Generated', new Date().toLocaleString()]
+        ]
+    };
+}
+
+async function loadExpectedList(file) {
+    try {
+        const wb = XLSX.read(await file.arrayBuffer(), { type: 'array', raw: true });
+        const rows = XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { header: 1, raw: false, defval: '' });
+        const values = parseExpectedRows(rows, getFormatProfile(AppState.options.profileId));
+        
+        if (values.length === 0) {
+            showNotification('No delivery note numbers found in the expected list.', 'warning');
+            return;
+        }
+        
+        AppState.expected = { fileName: file.name, values };
+        console.log(`📋 Expected list loaded: ${values.length} numbers from ${file.name}`);
+        updateExpectedListInfo();
+        updateDashboard();
+        showNotification(`Expected list loaded: ${values.length} delivery notes`, 'success');
+    } catch (error) {
+        console.error('❌ Expected list error:', error);
+        showNotification('Could not read the expected list (XLSX or CSV).', 'error');
     }
 }
 
-function exportModalContent() {
-    const modal = document.getElementById('detailModal');
-    const items = JSON.parse(modal.dataset.items || '[]');
-    const title = modal.dataset.title || 'export';
-    const type = modal.dataset.type;
-    
-    let csv = '';
-    
-    if (type === 'autocorrection') {
-        csv = 'Original,Corrected,Reason\n';
-        items.forEach(i => csv += `"${i.original}","${i.corrected}","${i.reason}"\n`);
-    } else if (items.length > 0 && typeof items[0] === 'object') {
-        csv = 'Value,Reason\n';
-        items.forEach(i => csv += `"${i.value}","${i.reason}"\n`);
-    } else {
-        csv = 'Value\n';
-        items.forEach(i => csv += `"${i}"\n`);
+function clearExpectedList() {
+    AppState.expected = null;
+    updateExpectedListInfo();
+    updateDashboard();
+}
+
+function updateExpectedListInfo() {
+    const info = document.getElementById('expectedListInfo');
+    if (!info) return;
+    const loaded = !!AppState.expected;
+    info.textContent = loaded
+        ? `${AppState.expected.fileName} (${AppState.expected.values.length} numbers)`
+        : 'No list loaded';
+    document.getElementById('clearExpectedBtn').disabled = !loaded;
+    document.getElementById('reconciliationExcelBtn').disabled = !loaded;
+}
+
+function downloadReconciliationExcel() {
+    const reconciliation = getBatchReconciliation();
+    if (!reconciliation) {
+        showNotification('Load an expected list first.', 'warning');
+        return;
     }
     
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    saveAs(blob, title.replace(/[^a-z0-9]/gi, '_') + '.csv');
+    try {
+        const wb = XLSX.utils.book_new();
+        const sheets = buildReconciliationSheets(reconciliation, AppState.expected.fileName);
+        for (const [name, rows] of Object.entries(sheets)) {
+            const ws = XLSX.utils.aoa_to_sheet(rows);
+            ws['!cols'] = rows[0].map((_, i) => ({ wch: i === 0 ? 25 : 40 }));
+            XLSX.utils.book_append_sheet(wb, ws, name);
+        }
+        const wbout = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+        const blob = new Blob([wbout], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+        saveAs(blob, `reconciliation_${Utils.formatTimestamp()}.xlsx`);
+        showNotification('Reconciliation workbook generated!', 'success');
+    } catch (error) {
+        console.error('Reconciliation error:', error);
+        showNotification('Error generating reconciliation workbook.', 'error');
+    }
 }
 
 // =============================================================================
@@ -752,6 +2433,19 @@ function updateFileList() {
     processAllBtn.disabled = !hasPending || AppState.isProcessing;
     downloadAllBtn.disabled = !hasDownloadable || AppState.isProcessing;
     
+    const masterWorkbookBtn = document.getElementById('masterWorkbookBtn');
+    if (masterWorkbookBtn) {
+        masterWorkbookBtn.disabled = !hasDownloadable || AppState.isProcessing;
+    }
+    
+    const reviewQueueBtn = document.getElementById('reviewQueueBtn');
+    if (reviewQueueBtn) {
+        const openReviews = Array.from(AppState.files.values())
+            .reduce((sum, f) => sum + getReviewQueue(f.results).length, 0);
+        reviewQueueBtn.disabled = openReviews === 0;
+        reviewQueueBtn.textContent = `📝 Review Queue (${openReviews})`;
+    }
+    
     let files = Array.from(AppState.files.entries());
     
     if (AppState.searchQuery) {
@@ -816,14 +2510,17 @@ function createFileRow(fileId, fileData) {
     }
     
     const fileName = fileData.name.length > 25 ? fileData.name.slice(0, 22) + '...' : fileData.name;
+    const ocrBadge = r.ocrPages?.length > 0
+        ? ` <span class="ocr-badge" title="Pages read with OCR: ${r.ocrPages.join(', ')}">OCR ${r.ocrPages.length}/${r.pageCount}</span>`
+        : '';
     
     return `
         <tr id="row_${fileId}">
-            <td title="${Utils.escapeHtml(fileData.name)}">${fileName}</td>
+            <td title="${Utils.escapeHtml(fileData.name)}">${Utils.escapeHtml(fileName)}${ocrBadge}</td>
             <td>${Utils.formatFileSize(fileData.size)}</td>
             <td>${statusBadge}</td>
             <td class="num-accepted">${makeCell('accepted', r.accepted?.length, 'Accepted Delivery Notes')}</td>
-            <td class="num-excluded">${makeCell('excluded', r.excluded?.length, 'Excluded (9-10 digits)')}</td>
+            <td class="num-excluded">${makeCell('excluded', r.excluded?.length, 'Excluded Entries')}</td>
             <td class="num-invalid">${makeCell('invalid', r.invalid?.length, 'Invalid Entries')}</td>
             <td class="num-duplicate">${makeCell('duplicate', r.duplicates?.length, 'Duplicates')}</td>
             <td class="num-corrected">${makeCell('autocorrection', r.autoCorrections?.length, 'Auto-Corrections')}</td>
@@ -844,7 +2541,7 @@ function showCellDetails(fileId, type, title) {
         autocorrection: fileData.results.autoCorrections
     }[type] || [];
     
-    showModal(`${title} - ${fileData.name}`, items, type);
+    showModal(`${title} - ${fileData.name}`, items, type, fileData.results.provenance, fileId);
 }
 
 function updateDashboard() {
@@ -852,7 +2549,7 @@ function updateDashboard() {
     const errorsSection = document.getElementById('errorsSection');
     
     let totals = { files: 0, accepted: 0, excluded: 0, invalid: 0, duplicates: 0, corrections: 0 };
-    const allData = { accepted: [], excluded: [], invalid: [], duplicates: [], autoCorrections: [] };
+    const allData = { accepted: [], excluded: [], invalid: [], duplicates: [], autoCorrections: [], transportIds: [], provenance: {} };
     
     for (const [_, fileData] of AppState.files) {
         if (fileData.status === 'done') totals.files++;
@@ -863,11 +2560,27 @@ function updateDashboard() {
             totals.duplicates += fileData.results.duplicateCount || 0;
             totals.corrections += fileData.results.autoCorrections?.length || 0;
             
+            // Entries keep their occurrences, tagged with the file they came from
+            const tag = (occ) => ({ ...occ, file: fileData.name, fileId: fileData.id });
+            const withFile = (entries) => (entries || []).map(e => e.occurrences
+                ? { ...e, occurrences: e.occurrences.map(tag) }
+                : e);
+            
             allData.accepted.push(...(fileData.results.accepted || []));
-            allData.excluded.push(...(fileData.results.excluded || []));
-            allData.invalid.push(...(fileData.results.invalid || []));
-            allData.duplicates.push(...(fileData.results.duplicates || []));
-            allData.autoCorrections.push(...(fileData.results.autoCorrections || []));
+            allData.excluded.push(...withFile(fileData.results.excluded));
+            allData.invalid.push(...withFile(fileData.results.invalid));
+            allData.duplicates.push(...withFile(fileData.results.duplicates));
+            allData.autoCorrections.push(...withFile(fileData.results.autoCorrections));
+            allData.transportIds.push(...withFile((fileData.results.transportIds || []).map(t => ({
+                ...t,
+                reason: t.deliveryNotes.length ? `Paired with ${t.deliveryNotes.join(', ')}` : 'No delivery note on the same page'
+            }))));
+            
+            // Batch-wide provenance, each occurrence tagged with its file
+            for (const [value, list] of Object.entries(fileData.results.provenance || {})) {
+                const tagged = list.map(tag);
+                allData.provenance[value] = (allData.provenance[value] || []).concat(tagged);
+            }
         }
     }
     
@@ -877,6 +2590,22 @@ function updateDashboard() {
     document.getElementById('totalInvalid').textContent = totals.invalid;
     document.getElementById('totalDuplicates').textContent = totals.duplicates;
     document.getElementById('totalAutoCorrections').textContent = totals.corrections;
+    document.getElementById('totalTransportIds').textContent = allData.transportIds.length;
+    
+    allData.crossFileDuplicates = getBatchCrossFileDuplicates();
+    document.getElementById('totalCrossFileDuplicates').textContent = allData.crossFileDuplicates.length;
+    allData.previouslySubmitted = getBatchPreviouslySubmitted();
+    document.getElementById('totalPreviouslySubmitted').textContent = allData.previouslySubmitted.length;
+    
+    // Reconciliation cards only when an expected list is loaded
+    const reconciliation = getBatchReconciliation();
+    allData.reconciliation = reconciliation || { matched: [], missing: [], unexpected: [] };
+    document.getElementById('totalMatched').textContent = allData.reconciliation.matched.length;
+    document.getElementById('totalMissing').textContent = allData.reconciliation.missing.length;
+    document.getElementById('totalUnexpected').textContent = allData.reconciliation.unexpected.length;
+    document.querySelectorAll('.reconcile-card').forEach(card => {
+        card.style.display = reconciliation ? '' : 'none';
+    });
     
     window.globalData = allData;
     
@@ -898,6 +2627,7 @@ function updateDashboard() {
                         <div class="correction-card-header">
                             <span class="correction-card-title">🔧 ${Utils.escapeHtml(f.name)}</span>
                             <span class="badge badge-purple">${f.results.autoCorrections.length} auto-fixed</span>
+                            <button class="btn btn-secondary btn-small" onclick="showReviewQueue('${f.id}')">📝 Review</button>
                         </div>
                         <div class="correction-list">
                             ${f.results.autoCorrections.slice(0, 5).map(c => `
@@ -919,6 +2649,7 @@ function updateDashboard() {
                         <div class="error-card-header">
                             <span class="error-card-title">⚠️ ${Utils.escapeHtml(f.name)}</span>
                             <span class="badge badge-red">${f.results.invalid.length} need review</span>
+                            <button class="btn btn-secondary btn-small" onclick="showReviewQueue('${f.id}')">📝 Review</button>
                         </div>
                         <div class="error-list">
                             ${f.results.invalid.slice(0, 5).map(e => `
@@ -1018,49 +2749,164 @@ function handleFilesAdded(files) {
     }
     
     updateFileList();
+    scheduleSessionSave();
     showNotification(`Added ${pdfFiles.length} file(s)`, 'success');
 }
 
-async function processFile(fileId) {
+/**
+ * (Re)generates the Excel blob of a processed file from its accepted notes.
+ * Files without accepted notes get no Excel, only an emptyReason.
+ */
+function refreshFileExcel(fileId) {
+    const fileData = AppState.files.get(fileId);
+    const results = fileData?.results;
+    if (!results) return;
+    
+    // Only generate Excel if there are accepted delivery notes
+    const acceptedNotes = [...new Set(results.accepted)];
+    if (acceptedNotes.length > 0) {
+        const excelBlob = AppState.options.detailedWorkbook
+            ? generateDetailedExcel(results, fileData.name)
+            : generateExcel(acceptedNotes);
+        AppState.excelBlobs.set(fileId, excelBlob);
+        fileData.emptyReason = null;
+    } else {
+        AppState.excelBlobs.delete(fileId);
+        
+        // No delivery notes found - determine reason for user notification
+        const reason = getEmptyReason(results);
+        fileData.emptyReason = reason;
+        console.warn(`⚠️ ${fileData.name}: ${reason}`);
+    }
+}
+
+/**
+ * Accepted notes of the other processed files, used by the correction model
+ * when the batch option is on. With a worker pool this is whatever was done
+ * when the file started.
+ */
+function getBatchReferenceNotes(fileId) {
+    if (!AppState.options.batchPrefixModel) return [];
+    const notes = [];
+    for (const [id, f] of AppState.files) {
+        if (id !== fileId && f.status === 'done' && f.results) notes.push(...(f.results.accepted || []));
+    }
+    return notes;
+}
+
+async function processFile(fileId, pool = null) {
     const fileData = AppState.files.get(fileId);
     if (!fileData) return;
     
+    // Imported from a JSON export - there is no PDF to process
+    if (!fileData.file) {
+        fileData.status = 'error';
+        fileData.error = 'Source PDF not included in the imported results';
+        updateFileList();
+        return;
+    }
+    
     try {
         fileData.status = 'processing';
         fileData.error = null;
         updateFileList();
         
-        const results = await processPDF(fileData);
+        const options = { ...AppState.options, referenceNotes: getBatchReferenceNotes(fileId) };
+        const results = pool ? await processPDFInWorker(fileData, pool, options) : await processPDF(fileData, options);
         fileData.status = 'done';
         fileData.results = results;
         
-        // Only generate Excel if there are accepted delivery notes
-        const acceptedNotes = [...new Set(results.accepted)];
-        if (acceptedNotes.length > 0) {
-            const excelBlob = generateExcel(acceptedNotes);
-            AppState.excelBlobs.set(fileId, excelBlob);
-        } else {
-            // No delivery notes found - determine reason for user notification
-            let reason = 'No valid 8-digit delivery notes found';
-            if (results.excluded.length > 0) {
-                reason = `No valid delivery notes: ${results.excluded.length} excluded (9-10 digits)`;
-            } else if (results.invalid.length > 0) {
-                reason = `No valid delivery notes: ${results.invalid.length} invalid entries found`;
-            } else {
-                reason = 'No delivery notes found in document';
-            }
-            fileData.emptyReason = reason;
-            console.warn(`⚠️ ${fileData.name}: ${reason}`);
-        }
+        refreshFileExcel(fileId);
         
     } catch (error) {
-        fileData.status = 'error';
-        fileData.error = error.message || 'Unknown error';
-        console.error('Processing error:', error);
+        if (error.cancelled) {
+            // Aborted by the user - leave the file to be processed later
+            fileData.status = 'pending';
+        } else {
+            fileData.status = 'error';
+            fileData.error = error.message || 'Unknown error';
+            console.error('Processing error:', error);
+        }
     }
     
     updateFileList();
     updateDashboard();
+    scheduleSessionSave();
+}
+
+// =============================================================================
+// BATCH CONTROL (PAUSE / RESUME / CANCEL)
+// =============================================================================
+
+function createCancelError() {
+    const error = new Error('Processing cancelled');
+    error.cancelled = true;
+    return error;
+}
+
+/**
+ * Checkpoint between files and pages: resolves immediately while running,
+ * waits while paused, and throws a cancel error once the batch is cancelled.
+ */
+async function waitForBatch() {
+    const batch = AppState.batch;
+    if (!batch) return;
+    
+    while (batch.paused && !batch.cancelled) {
+        await new Promise(resolve => batch.resumers.push(resolve));
+    }
+    if (batch.cancelled) throw createCancelError();
+}
+
+function wakeBatch(batch) {
+    const resumers = batch.resumers.splice(0);
+    resumers.forEach(resolve => resolve());
+}
+
+function togglePauseBatch() {
+    const batch = AppState.batch;
+    if (!batch || batch.cancelled) return;
+    
+    batch.paused = !batch.paused;
+    console.log(batch.paused ? '⏸️ Batch paused' : '▶️ Batch resumed');
+    if (batch.pool) batch.pool.setPaused(batch.paused);
+    if (!batch.paused) wakeBatch(batch);
+    updateBatchControls();
+}
+
+function cancelBatch() {
+    const batch = AppState.batch;
+    if (!batch || batch.cancelled) return;
+    
+    batch.cancelled = true;
+    console.log('⏹️ Batch cancelled');
+    
+    // Abort whatever is in flight; the files fall back to 'pending'
+    batch.documents.forEach(pdf => pdf.destroy());
+    batch.documents.clear();
+    if (batch.pool) batch.pool.terminate();
+    wakeBatch(batch);
+    updateBatchControls();
+}
+
+function updateBatchControls() {
+    const batch = AppState.batch;
+    const pauseBtn = document.getElementById('pauseBatchBtn');
+    const cancelBtn = document.getElementById('cancelBatchBtn');
+    const progressText = document.getElementById('progressText');
+    if (!pauseBtn || !cancelBtn) return;
+    
+    pauseBtn.disabled = !batch || batch.cancelled;
+    cancelBtn.disabled = !batch || batch.cancelled;
+    pauseBtn.textContent = batch && batch.paused ? '▶️ Resume' : '⏸️ Pause';
+    
+    if (!batch) return;
+    const text = progressText.textContent.replace(' (paused)', '');
+    if (batch.cancelled) {
+        progressText.textContent = 'Cancelling...';
+    } else {
+        progressText.textContent = batch.paused ? `${text} (paused)` : text;
+    }
 }
 
 async function processAllFiles() {
@@ -1073,18 +2919,53 @@ async function processAllFiles() {
     const total = pending.length;
     let processed = 0;
     
+    const poolSize = Math.min(AppState.options.workerCount, total);
+    const pool = poolSize >= 1 ? createWorkerPool(poolSize) : null;
+    const batch = { paused: false, cancelled: false, documents: new Set(), pool, resumers: [] };
+    AppState.batch = batch;
+    
     updateProgress(0, total);
+    updateBatchControls();
     document.getElementById('processAllBtn').disabled = true;
     
-    for (const [fileId] of pending) {
-        await processFile(fileId);
-        processed++;
-        updateProgress(processed, total);
-    }
+    // Each slot pulls the next pending file until none are left (a single
+    // slot without a pool). Pausing holds the slots between files and pages.
+    let next = 0;
+    const runSlot = async () => {
+        while (next < pending.length) {
+            try {
+                await waitForBatch();
+            } catch (e) {
+                return;
+            }
+            const [fileId] = pending[next++];
+            await processFile(fileId, pool);
+            if (AppState.files.get(fileId)?.status !== 'pending') {
+                processed++;
+                updateProgress(processed, total);
+                updateBatchControls();
+            }
+            if (batch.cancelled) return;
+        }
+    };
+    
+    if (pool) console.log(`⚡ Processing ${total} file(s) with ${pool.size} worker(s)`);
+    await Promise.all(Array.from({ length: pool ? pool.size : 1 }, runSlot));
+    if (pool && !batch.cancelled) pool.terminate();
+    resetOCRWorker();
     
     AppState.isProcessing = false;
+    AppState.batch = null;
+    updateBatchControls();
     updateFileList();
     
+    if (batch.cancelled) {
+        updateProgress(0, 0);
+        const remaining = Array.from(AppState.files.values()).filter(f => f.status === 'pending').length;
+        showNotification(`Cancelled: ${processed} file(s) processed, ${remaining} left pending. Completed results are available for download.`, 'warning');
+        return;
+    }
+    
     // Count empty files and successful files
     const emptyFiles = Array.from(AppState.files.values())
         .filter(f => f.status === 'done' && !AppState.excelBlobs.has(f.id));
@@ -1113,6 +2994,7 @@ function downloadExcel(fileId) {
     }
     
     saveAs(blob, Utils.getFileNameWithoutExtension(fileData.name) + '.xlsx');
+    recordExports([fileId]);
 }
 
 async function downloadAllAsZip() {
@@ -1128,6 +3010,7 @@ async function downloadAllAsZip() {
         
         const zipBlob = await generateZip();
         saveAs(zipBlob, `delivery_notes_${Utils.formatTimestamp()}.zip`);
+        recordExports(Array.from(AppState.excelBlobs.keys()));
         
         btn.disabled = false;
         btn.innerHTML = '📥 Download All (ZIP)';
@@ -1143,6 +3026,23 @@ async function downloadAllAsZip() {
     }
 }
 
+function downloadMasterWorkbook() {
+    if (AppState.excelBlobs.size === 0) {
+        showNotification('No processed files available.', 'warning');
+        return;
+    }
+    
+    try {
+        const blob = generateMasterWorkbook();
+        saveAs(blob, `delivery_notes_master_${Utils.formatTimestamp()}.xlsx`);
+        recordExports(Array.from(AppState.excelBlobs.keys()));
+        showNotification('Master workbook generated!', 'success');
+    } catch (error) {
+        console.error('Master workbook error:', error);
+        showNotification('Error generating master workbook.', 'error');
+    }
+}
+
 function clearAllFiles() {
     if (AppState.isProcessing) {
         showNotification('Please wait for processing to complete.', 'warning');
@@ -1150,8 +3050,15 @@ function clearAllFiles() {
     }
     
     if (confirm('Clear all files?')) {
+        if (PreviewState.pdf) {
+            PreviewState.pdf.destroy();
+            PreviewState.pdf = null;
+            PreviewState.fileId = null;
+        }
         AppState.files.clear();
         AppState.excelBlobs.clear();
+        // The saved session stays in the session manager; new files start a new one
+        startNewSession();
         updateFileList();
         document.getElementById('dashboardSection').style.display = 'none';
         document.getElementById('errorsSection').style.display = 'none';
@@ -1162,17 +3069,24 @@ function clearAllFiles() {
 function showGlobalDetails(type) {
     if (!window.globalData) return;
     
+    const lengths = getProfileLengthLabels(getFormatProfile(AppState.options.profileId));
     const mapping = {
         accepted: ['All Accepted Delivery Notes', window.globalData.accepted, 'accepted'],
-        excluded: ['All Excluded (9-10 digits)', window.globalData.excluded, 'excluded'],
+        excluded: [lengths.excluded ? `All Excluded (${lengths.excluded})` : 'All Excluded', window.globalData.excluded, 'excluded'],
         invalid: ['All Invalid Entries', window.globalData.invalid, 'invalid'],
         duplicates: ['All Duplicates', window.globalData.duplicates, 'duplicate'],
+        crossfile: ['Duplicates Across Files', window.globalData.crossFileDuplicates, 'duplicate'],
+        transport: ['All Transport IDs', window.globalData.transportIds, 'transport'],
+        previous: ['Previously Submitted', window.globalData.previouslySubmitted, 'previous'],
+        matched: ['Matched with Expected List', window.globalData.reconciliation?.matched, 'matched'],
+        missing: ['Expected but Missing', window.globalData.reconciliation?.missing, 'missing'],
+        unexpected: ['Extracted but Unexpected', window.globalData.reconciliation?.unexpected, 'unexpected'],
         autocorrections: ['All Auto-Corrections', window.globalData.autoCorrections, 'autocorrection']
     };
     
     const [title, items, modalType] = mapping[type] || [];
     if (items && items.length > 0) {
-        showModal(title, items, modalType);
+        showModal(title, items, modalType, window.globalData.provenance);
     }
 }
 
@@ -1182,7 +3096,7 @@ function exportSummaryReport() {
     report += `App Version: 7.3 (Enhanced Auto-Fix)\n\n`;
     report += `${'='.repeat(50)}\nSTATISTICS\n${'='.repeat(50)}\n`;
     
-    let totals = { accepted: 0, excluded: 0, invalid: 0, duplicates: 0, corrections: 0, empty: 0 };
+    let totals = { accepted: 0, excluded: 0, invalid: 0, duplicates: 0, corrections: 0, empty: 0, reviewed: 0, openReviews: 0 };
     
     for (const [fileId, f] of AppState.files) {
         if (f.status === 'done' && !AppState.excelBlobs.has(fileId)) {
@@ -1194,18 +3108,55 @@ function exportSummaryReport() {
             totals.invalid += f.results.invalid?.length || 0;
             totals.duplicates += f.results.duplicateCount || 0;
             totals.corrections += f.results.autoCorrections?.length || 0;
+            totals.reviewed += f.results.reviewDecisions?.length || 0;
+            totals.openReviews += getReviewQueue(f.results).length;
+        }
+    }
+    
+    report += `Total Files: ${AppState.files.size}\n`;
+    report += `Files with Data: ${AppState.files.size - totals.empty}\n`;
+    report += `Empty Files (no delivery notes): ${totals.empty}\n`;
+    const lengths = getProfileLengthLabels(getFormatProfile(AppState.options.profileId));
+    report += `Accepted (${lengths.accepted}): ${totals.accepted}\n`;
+    report += `Excluded${lengths.excluded ? ` (${lengths.excluded})` : ''}: ${totals.excluded}\n`;
+    report += `Invalid: ${totals.invalid}\n`;
+    report += `Duplicates: ${totals.duplicates}\n`;
+    report += `Auto-Corrections: ${totals.corrections}\n`;
+    report += `Review Decisions: ${totals.reviewed} (${totals.openReviews} still open)\n`;
+    
+    const crossFileDuplicates = getBatchCrossFileDuplicates();
+    report += `Cross-File Duplicates: ${crossFileDuplicates.length}\n`;
+    report += `Previously Submitted: ${getBatchPreviouslySubmitted().length}\n`;
+    
+    const reconciliation = getBatchReconciliation();
+    if (reconciliation) {
+        report += `Expected List: ${AppState.expected.fileName} (${AppState.expected.values.length} numbers)\n`;
+        report += `  Matched: ${reconciliation.matched.length}\n`;
+        report += `  Expected but Missing: ${reconciliation.missing.length}\n`;
+        report += `  Extracted but Unexpected: ${reconciliation.unexpected.length}\n`;
+    }
+    report += '\n';
+    
+    if (crossFileDuplicates.length > 0) {
+        report += `${'='.repeat(50)}\nCROSS-FILE DUPLICATES (possible double billing)\n${'='.repeat(50)}\n`;
+        for (const d of crossFileDuplicates) {
+            report += `\n${d.value} (${d.count} files)\n`;
+            for (const f of d.files) {
+                report += `  ${f.name}${f.pages ? ` - page ${f.pages}` : ''}\n`;
+            }
+        }
+        report += '\n';
+    }
+    
+    const previouslySubmitted = getBatchPreviouslySubmitted();
+    if (previouslySubmitted.length > 0) {
+        report += `${'='.repeat(50)}\nPREVIOUSLY SUBMITTED (already in the export ledger)\n${'='.repeat(50)}\n`;
+        for (const p of previouslySubmitted) {
+            report += `${p.value}: ${p.reason}\n`;
         }
+        report += '\n';
     }
     
-    report += `Total Files: ${AppState.files.size}\n`;
-    report += `Files with Data: ${AppState.files.size - totals.empty}\n`;
-    report += `Empty Files (no delivery notes): ${totals.empty}\n`;
-    report += `Accepted (8 digits): ${totals.accepted}\n`;
-    report += `Excluded (9-10 digits): ${totals.excluded}\n`;
-    report += `Invalid: ${totals.invalid}\n`;
-    report += `Duplicates: ${totals.duplicates}\n`;
-    report += `Auto-Corrections: ${totals.corrections}\n\n`;
-    
     report += `${'='.repeat(50)}\nFILE DETAILS\n${'='.repeat(50)}\n`;
     
     for (const [_, f] of AppState.files) {
@@ -1216,6 +3167,13 @@ function exportSummaryReport() {
             report += `  Invalid: ${f.results.invalid?.length || 0}\n`;
             report += `  Duplicates: ${f.results.duplicateCount || 0}\n`;
             report += `  Auto-Corrections: ${f.results.autoCorrections?.length || 0}\n`;
+            report += `  Transport IDs: ${f.results.transportIds?.length || 0}\n`;
+            if (f.results.ocrPages?.length > 0) {
+                report += `  OCR Pages: ${f.results.ocrPages.join(', ')}\n`;
+            }
+            for (const d of f.results.reviewDecisions || []) {
+                report += `  Review: ${formatReviewDecision(d)} (${d.decidedAt})\n`;
+            }
         }
     }
     
@@ -1241,6 +3199,72 @@ function checkLibraries() {
     return true;
 }
 
+function loadProfileSelection() {
+    try {
+        const saved = localStorage.getItem(CONFIG.PROFILE_STORAGE_KEY);
+        if (saved && FORMAT_PROFILES[saved]) {
+            AppState.options.profileId = saved;
+        }
+    } catch (e) {
+        console.warn('⚠️ Could not read saved profile:', e);
+    }
+}
+
+function saveProfileSelection(profileId) {
+    try {
+        localStorage.setItem(CONFIG.PROFILE_STORAGE_KEY, profileId);
+    } catch (e) {
+        console.warn('⚠️ Could not save profile:', e);
+    }
+}
+
+function loadTransportFormatSelection() {
+    try {
+        const saved = localStorage.getItem(CONFIG.TRANSPORT_FORMAT_STORAGE_KEY);
+        if (saved && TRANSPORT_ID_FORMATS[saved]) {
+            AppState.options.transportFormatId = saved;
+        }
+    } catch (e) {
+        console.warn('⚠️ Could not read saved Transport ID format:', e);
+    }
+}
+
+function saveTransportFormatSelection(formatId) {
+    try {
+        localStorage.setItem(CONFIG.TRANSPORT_FORMAT_STORAGE_KEY, formatId);
+    } catch (e) {
+        console.warn('⚠️ Could not save Transport ID format:', e);
+    }
+}
+
+function updateProfileDescription() {
+    const el = document.getElementById('profileDescription');
+    if (el) el.textContent = getFormatProfile(AppState.options.profileId).description;
+}
+
+/**
+ * Fills the profile and Transport ID format pickers and selects the current
+ * options (again after an import added formats).
+ */
+function renderFormatSelects() {
+    const profileSelect = document.getElementById('profileSelect');
+    if (profileSelect) {
+        profileSelect.innerHTML = Object.values(FORMAT_PROFILES).map(p =>
+            `<option value="${p.id}" title="${Utils.escapeHtml(p.description)}">${Utils.escapeHtml(p.name)}</option>`
+        ).join('');
+        profileSelect.value = AppState.options.profileId;
+        updateProfileDescription();
+    }
+    
+    const transportFormatSelect = document.getElementById('transportFormatSelect');
+    if (transportFormatSelect) {
+        transportFormatSelect.innerHTML = Object.values(TRANSPORT_ID_FORMATS).map(f =>
+            `<option value="${f.id}">${Utils.escapeHtml(f.name)}</option>`
+        ).join('');
+        transportFormatSelect.value = AppState.options.transportFormatId;
+    }
+}
+
 function initEventListeners() {
     const dropZone = document.getElementById('dropZone');
     const fileInput = document.getElementById('fileInput');
@@ -1289,9 +3313,51 @@ function initEventListeners() {
     
     // Buttons
     document.getElementById('processAllBtn').addEventListener('click', processAllFiles);
+    document.getElementById('pauseBatchBtn').addEventListener('click', togglePauseBatch);
+    document.getElementById('cancelBatchBtn').addEventListener('click', cancelBatch);
     document.getElementById('downloadAllBtn').addEventListener('click', downloadAllAsZip);
+    
+    const masterWorkbookBtn = document.getElementById('masterWorkbookBtn');
+    if (masterWorkbookBtn) {
+        masterWorkbookBtn.addEventListener('click', downloadMasterWorkbook);
+    }
+    document.getElementById('lineItemsBtn').addEventListener('click', showLineItems);
     document.getElementById('clearAllBtn').addEventListener('click', clearAllFiles);
     
+    // Saved sessions
+    document.getElementById('restoreSessionBtn').addEventListener('click', () => {
+        if (SessionState.offerId) restoreSession(SessionState.offerId);
+    });
+    document.getElementById('dismissSessionBtn').addEventListener('click', hideSessionBanner);
+    document.querySelectorAll('.manage-sessions-btn').forEach(btn =>
+        btn.addEventListener('click', showSessionManager)
+    );
+    document.getElementById('ledgerBtn').addEventListener('click', showLedger);
+    
+    // Results as JSON (hand a processed batch to a colleague)
+    const resultsInput = document.getElementById('resultsImportInput');
+    document.getElementById('exportResultsBtn').addEventListener('click', exportResultsJson);
+    document.getElementById('importResultsBtn').addEventListener('click', () => resultsInput.click());
+    resultsInput.addEventListener('change', (e) => {
+        if (e.target.files[0]) importResultsJson(e.target.files[0]);
+        e.target.value = '';
+    });
+    
+    // Expected list (reconciliation)
+    const expectedInput = document.getElementById('expectedListInput');
+    document.getElementById('expectedListBtn').addEventListener('click', () => expectedInput.click());
+    expectedInput.addEventListener('change', (e) => {
+        if (e.target.files[0]) loadExpectedList(e.target.files[0]);
+        e.target.value = '';
+    });
+    document.getElementById('clearExpectedBtn').addEventListener('click', clearExpectedList);
+    document.getElementById('reconciliationExcelBtn').addEventListener('click', downloadReconciliationExcel);
+    
+    const reviewQueueBtn = document.getElementById('reviewQueueBtn');
+    if (reviewQueueBtn) {
+        reviewQueueBtn.addEventListener('click', () => showReviewQueue());
+    }
+    
     const searchInput = document.getElementById('searchInput');
     if (searchInput) {
         searchInput.addEventListener('input', (e) => {
@@ -1300,6 +3366,76 @@ function initEventListeners() {
         });
     }
     
+    // Format profile picker (selection is remembered between sessions)
+    renderFormatSelects();
+    const profileSelect = document.getElementById('profileSelect');
+    if (profileSelect) {
+        profileSelect.addEventListener('change', (e) => {
+            AppState.options.profileId = getFormatProfile(e.target.value).id;
+            saveProfileSelection(AppState.options.profileId);
+            updateProfileDescription();
+            showNotification(`Format profile: ${getFormatProfile(AppState.options.profileId).name}`, 'info');
+        });
+    }
+    
+    const transportFormatSelect = document.getElementById('transportFormatSelect');
+    if (transportFormatSelect) {
+        transportFormatSelect.addEventListener('change', (e) => {
+            AppState.options.transportFormatId = getTransportIdFormat(e.target.value).id;
+            saveTransportFormatSelection(AppState.options.transportFormatId);
+        });
+    }
+    
+    // Short-number correction model learns from the whole batch
+    const batchPrefixModelToggle = document.getElementById('batchPrefixModelToggle');
+    if (batchPrefixModelToggle) {
+        batchPrefixModelToggle.addEventListener('change', (e) => {
+            AppState.options.batchPrefixModel = e.target.checked;
+        });
+    }
+    
+    // Worker pool size
+    const workerCountInput = document.getElementById('workerCountInput');
+    if (workerCountInput) {
+        workerCountInput.max = CONFIG.MAX_WORKER_POOL_SIZE;
+        workerCountInput.value = AppState.options.workerCount;
+        workerCountInput.addEventListener('change', (e) => {
+            const n = parseInt(e.target.value, 10);
+            AppState.options.workerCount = Number.isFinite(n)
+                ? Math.max(0, Math.min(CONFIG.MAX_WORKER_POOL_SIZE, n))
+                : CONFIG.WORKER_POOL_SIZE;
+            e.target.value = AppState.options.workerCount;
+        });
+    }
+    
+    // Excel layout - regenerate already processed files when switched
+    const detailedWorkbookToggle = document.getElementById('detailedWorkbookToggle');
+    if (detailedWorkbookToggle) {
+        detailedWorkbookToggle.addEventListener('change', (e) => {
+            AppState.options.detailedWorkbook = e.target.checked;
+            for (const [fileId, fileData] of AppState.files) {
+                if (fileData.status === 'done') refreshFileExcel(fileId);
+            }
+            scheduleSessionSave();
+        });
+    }
+    
+    // Extraction options
+    const headerAnchorToggle = document.getElementById('headerAnchorToggle');
+    const headerLabelsInput = document.getElementById('headerLabelsInput');
+    if (headerAnchorToggle && headerLabelsInput) {
+        headerLabelsInput.value = AppState.options.headerLabels.join(', ');
+        headerAnchorToggle.addEventListener('change', (e) => {
+            AppState.options.headerAnchoring = e.target.checked;
+            headerLabelsInput.disabled = !e.target.checked;
+        });
+        headerLabelsInput.addEventListener('change', (e) => {
+            const labels = e.target.value.split(',').map(l => l.trim()).filter(Boolean);
+            AppState.options.headerLabels = labels.length > 0 ? labels : CONFIG.HEADER_LABELS.slice();
+            e.target.value = AppState.options.headerLabels.join(', ');
+        });
+    }
+    
     const exportBtn = document.getElementById('exportReportBtn');
     if (exportBtn) {
         exportBtn.addEventListener('click', exportSummaryReport);
@@ -1326,7 +3462,28 @@ function initEventListeners() {
     
     // Keyboard
     document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') closeModal();
+        if (e.key !== 'Escape') return;
+        const preview = document.getElementById('previewModal');
+        const review = document.getElementById('reviewModal');
+        const sessions = document.getElementById('sessionModal');
+        const ledger = document.getElementById('ledgerModal');
+        const lineItems = document.getElementById('lineItemsModal');
+        const explain = document.getElementById('explainModal');
+        if (preview && preview.style.display === 'flex') {
+            closePreview();
+        } else if (explain && explain.style.display === 'flex') {
+            closeExplain();
+        } else if (review && review.style.display === 'flex') {
+            closeReview();
+        } else if (sessions && sessions.style.display === 'flex') {
+            closeSessionManager();
+        } else if (ledger && ledger.style.display === 'flex') {
+            closeLedger();
+        } else if (lineItems && lineItems.style.display === 'flex') {
+            closeLineItems();
+        } else {
+            closeModal();
+        }
     });
 }
 
@@ -1339,7 +3496,13 @@ function init() {
         }
     }, 1000);
     
+    loadProfileSelection();
+    loadTransportFormatSelection();
     initEventListeners();
+    offerSessionRestore();
+    loadLedger().then(() => {
+        if (AppState.files.size > 0) updateDashboard();
+    });
     console.log('🚀 Delivery Note Extractor v7.3 (Enhanced Auto-Fix) initialized');
 }
 
@@ -1357,6 +3520,7 @@ window.processFile = processFile;
 window.downloadExcel = downloadExcel;
 window.processAllFiles = processAllFiles;
 window.downloadAllAsZip = downloadAllAsZip;
+window.downloadMasterWorkbook = downloadMasterWorkbook;
 window.clearAllFiles = clearAllFiles;
 window.showCellDetails = showCellDetails;
 window.showGlobalDetails = showGlobalDetails;
@@ -1364,6 +3528,23 @@ window.closeModal = closeModal;
 window.filterModalContent = filterModalContent;
 window.exportModalContent = exportModalContent;
 window.exportSummaryReport = exportSummaryReport;
+window.openOccurrencePreview = openOccurrencePreview;
+window.closePreview = closePreview;
+window.showExplain = showExplain;
+window.closeExplain = closeExplain;
+window.showReviewQueue = showReviewQueue;
+window.reviewItem = reviewItem;
+window.closeReview = closeReview;
+window.restoreSession = restoreSession;
+window.renameSession = renameSession;
+window.deleteSession = deleteSession;
+window.closeSessionManager = closeSessionManager;
+window.exportLedger = exportLedger;
+window.importLedger = importLedger;
+window.clearLedger = clearLedger;
+window.closeLedger = closeLedger;
+window.renderLineItems = renderLineItems;
+window.closeLineItems = closeLineItems;
 
 // =============================================================================
 // AUTOMATED TESTS (Run in console with: runTests())
@@ -1512,6 +3693,737 @@ window.runTests = function() {
         assertEqual(result.unique.includes('7180890'), true, 'Should include 7-digit');
     });
     
+    // Test 9b: Row reconstruction from positioned text items
+    test('groupItemsIntoRows should group items on the same baseline', () => {
+        const items = [
+            { text: 'Lieferschein', pageNum: 1, x: 50, y: 700, width: 60 },
+            { text: '26996798', pageNum: 1, x: 50, y: 650, width: 40 },
+            { text: '21/02/2025', pageNum: 1, x: 200, y: 652, width: 50 },
+            { text: '27008029', pageNum: 1, x: 50, y: 620, width: 40 },
+            { text: '27005099', pageNum: 2, x: 50, y: 700, width: 40 }
+        ];
+        const rows = groupItemsIntoRows(items);
+        assertEqual(rows.length, 4, 'Row count');
+        assertEqual(rows[1].items.length, 2, 'Items on second row');
+        assertEqual(rows[1].text, '26996798 21/02/2025', 'Row text left-to-right');
+        assertEqual(items[2].lineNum, 2, 'Line number of date');
+        assertEqual(items[4].lineNum, 1, 'Line numbering restarts per page');
+    });
+    
+    test('assignColumns should cluster items by left edge', () => {
+        const items = [
+            { text: 'DN', pageNum: 1, x: 50, y: 700, width: 20 },
+            { text: 'Date', pageNum: 1, x: 200, y: 700, width: 30 },
+            { text: '26996798', pageNum: 1, x: 52, y: 650, width: 40 },
+            { text: '21/02/2025', pageNum: 1, x: 198, y: 650, width: 50 }
+        ];
+        const columns = assignColumns(groupItemsIntoRows(items));
+        assertEqual(columns.length, 2, 'Column count');
+        assertEqual(items[2].colIndex, 0, 'Number in first column');
+        assertEqual(items[3].colIndex, 1, 'Date in second column');
+    });
+    
+    test('Header anchoring should keep only numbers in the header column', () => {
+        const items = [
+            { text: '75001234', pageNum: 1, x: 400, y: 760, width: 40 },   // Order number in letterhead
+            { text: 'Lieferschein', pageNum: 1, x: 50, y: 700, width: 60 },
+            { text: 'Kunde', pageNum: 1, x: 200, y: 700, width: 30 },
+            { text: '26996798', pageNum: 1, x: 52, y: 650, width: 40 },
+            { text: '12345678', pageNum: 1, x: 200, y: 650, width: 40 },   // Customer number
+            { text: '27008029', pageNum: 2, x: 55, y: 700, width: 40 }     // Continuation page
+        ];
+        const rows = groupItemsIntoRows(items);
+        const result = filterItemsByHeaderColumn(items, rows, ['Lieferschein']);
+        assertEqual(result.anchors.length, 1, 'Header count');
+        assertArrayEqual(result.inColumn.map(i => i.text), ['26996798', '27008029'], 'Items in column');
+        const reasons = result.rejected.map(r => r.reason);
+        assertEqual(reasons.some(r => r.startsWith('Above')), true, 'Letterhead number rejected as above header');
+        assertEqual(reasons.some(r => r.startsWith('Outside')), true, 'Customer number rejected as outside column');
+    });
+    
+    test('Header-rejected occurrences should not add pages to accepted notes', () => {
+        const items = [
+            { text: 'Lieferschein', pageNum: 1, x: 50, y: 700, width: 60 },
+            { text: 'Kunde', pageNum: 1, x: 200, y: 700, width: 30 },
+            { text: '26996798', pageNum: 1, x: 52, y: 650, width: 40 },
+            { text: '12345678', pageNum: 1, x: 200, y: 650, width: 40 },   // Customer number
+            { text: '26996798', pageNum: 2, x: 400, y: 760, width: 40 }    // Same value in a letterhead
+        ];
+        const rows = groupItemsIntoRows(items);
+        const results = analyzeTextItems(items, rows, 2, [], { headerAnchoring: true, headerLabels: ['Lieferschein'] });
+        assertArrayEqual(results.accepted, ['26996798'], 'Column note accepted');
+        assertEqual(formatPages(results.provenance['26996798']), '1', 'Only the column occurrence');
+        const customer = results.excluded.find(e => e.value === '12345678');
+        assertEqual(customer.occurrences.length, 1, 'Rejected occurrence on the excluded entry');
+        assertEqual(results.provenance['12345678'], customer.occurrences, 'Provenance of the excluded value');
+    });
+    
+    test('findHeaderAnchors should match labels split over items', () => {
+        const items = [
+            { text: 'Delivery', pageNum: 1, x: 50, y: 700, width: 40 },
+            { text: 'Note No.:', pageNum: 1, x: 92, y: 700, width: 45 },
+            { text: 'BLUE', pageNum: 1, x: 300, y: 700, width: 20 }
+        ];
+        const anchors = findHeaderAnchors(groupItemsIntoRows(items), ['Delivery Note', 'BL']);
+        assertEqual(anchors.length, 1, 'Only the split label matches');
+        assertEqual(anchors[0].xMax, 137, 'Anchor x-range spans both items');
+    });
+    
+    test('Default profile should match the built-in rules', () => {
+        const result = validateDeliveryNotes(makeExtractionResult(['26996798', '123456789']), getFormatProfile('default'));
+        assertEqual(result.accepted.length, 1, 'Accepted count');
+        assertEqual(result.excluded[0].reason, '9 digits (excluded - likely Transport ID)', 'Exclusion reason');
+        assertEqual(result.profileId, 'default', 'Profile recorded');
+    });
+    
+    test('Unknown profile id should fall back to default', () => {
+        assertEqual(getFormatProfile('does-not-exist').id, 'default', 'Fallback profile');
+    });
+    
+    test('10-digit profile should accept 10 digits and reject 8', () => {
+        const profile = getFormatProfile('digits10');
+        const result = validateDeliveryNotes(makeExtractionResult(['1234567890', '26996798', '001234567890']), profile);
+        assertArrayEqual(result.accepted, ['1234567890'], 'Accepted values');
+        assertEqual(result.excluded.length, 0, 'Nothing excluded');
+        assertEqual(result.invalid.length, 1, 'Invalid count (8 digits)');
+        assertEqual(result.duplicates.length, 1, 'Leading-zero variant is a duplicate');
+    });
+    
+    test('9-digit profile should add the dominant leading digit to 8 digits', () => {
+        const profile = getFormatProfile('digits9');
+        const result = validateDeliveryNotes(makeExtractionResult(['312345678', '398765432', '55555555']), profile);
+        assertEqual(result.autoCorrections.length, 1, 'Auto-corrections count');
+        assertEqual(result.autoCorrections[0].corrected, '355555555', 'Corrected value');
+    });
+    
+    test('Length labels and empty reasons should follow the profile', () => {
+        assertEqual(getProfileLengthLabels(getFormatProfile('default')).excluded, '9-10 digits', 'Default exclusions');
+        assertEqual(getProfileLengthLabels(getFormatProfile('digits9')).accepted, '9 digits', 'Accepted length');
+        assertEqual(getProfileLengthLabels(getFormatProfile('digits6')).excluded, null, 'No length exclusions');
+        
+        const results = validateDeliveryNotes(makeExtractionResult(['1234567890']), getFormatProfile('digits9'));
+        assertEqual(getEmptyReason(results), 'No valid delivery notes: 1 excluded (10 digits)', 'Empty reason from profile');
+    });
+    
+    test('Prefixed profile should only pick up LS-prefixed tokens', () => {
+        const profile = getFormatProfile('prefixedLS');
+        const items = [
+            { text: 'LS26996798', pageNum: 1 },
+            { text: 'LS-27008029', pageNum: 1 },
+            { text: '12345678', pageNum: 1 }
+        ];
+        const result = extractPotentialDeliveryNotes(items, profile);
+        assertArrayEqual(result.unique, ['26996798', '27008029'], 'Candidates');
+    });
+    
+    test('Profile prefixes should reject numbers with other leading digits', () => {
+        const profile = { ...getFormatProfile('default'), prefixes: ['2'] };
+        const result = validateDeliveryNotes(makeExtractionResult(['26996798', '80652245']), profile);
+        assertArrayEqual(result.accepted, ['26996798'], 'Accepted values');
+        assertEqual(result.invalid.length, 1, 'Invalid count');
+    });
+    
+    test('OCR words should become positioned items with digit fixes', () => {
+        const words = [
+            { text: 'Lieferschein', bbox: { x0: 100, y0: 200, x1: 220, y1: 230 }, confidence: 91 },
+            { text: '269967O8', bbox: { x0: 100, y0: 300, x1: 180, y1: 330 }, confidence: 80 }
+        ];
+        const items = ocrWordsToItems(words, 2, 1000, 2);
+        assertEqual(items.length, 2, 'Item count');
+        assertEqual(items[0].text, 'Lieferschein', 'Label untouched');
+        assertEqual(items[1].text, '26996708', 'O read as 0');
+        assertEqual(items[1].x, 50, 'x scaled to PDF units');
+        assertEqual(items[1].y, 335, 'y flipped to PDF origin');
+        assertEqual(items[1].source, 'ocr', 'Source');
+        const extraction = extractPotentialDeliveryNotes(items);
+        assertEqual(extraction.unique[0], '26996708', 'OCR text goes through candidate scanning');
+        assertEqual(normalizeOCRDigits('2l0O2/2O25'), '2l0O2/2O25', 'Separators keep the word as read');
+        assertEqual(normalizeOCRDigits('27O08O25'), '27008025', 'Misreads fixed through normalizeToken');
+    });
+    
+    test('Token scanning should find numbers inside longer strings', () => {
+        const items = [
+            { text: 'DN: 26996798', pageNum: 1 },
+            { text: '27008029/01', pageNum: 1 },
+            { text: 'Lieferschein Nr. 27005099 vom 21/02/2025', pageNum: 1 }
+        ];
+        const result = extractPotentialDeliveryNotes(items);
+        assertArrayEqual(result.unique, ['26996798', '27008029', '27005099'], 'Candidates');
+    });
+    
+    test('Token scanning should keep date, decimal, part number and phone exclusions', () => {
+        const items = [
+            { text: 'Datum 21.02.2025', pageNum: 1 },
+            { text: 'Menge 12345678.50', pageNum: 1 },
+            { text: 'Teil 146505902R', pageNum: 1 },
+            { text: 'Tel. +49 711 12345678', pageNum: 1 },
+            { text: 'ABC1234567', pageNum: 1 }
+        ];
+        const result = extractPotentialDeliveryNotes(items);
+        assertEqual(result.unique.length, 0, 'No candidates');
+    });
+    
+    test('Token scanning should join numbers split over adjacent items', () => {
+        const items = [
+            { text: '2699', pageNum: 1, x: 50, y: 650, width: 20, height: 10 },
+            { text: '6798', pageNum: 1, x: 70.5, y: 650, width: 20, height: 10 },
+            { text: '27008029', pageNum: 1, x: 50, y: 620, width: 40, height: 10 },
+            { text: '27005099', pageNum: 1, x: 90, y: 620, width: 40, height: 10 },
+            { text: '1234', pageNum: 1, x: 200, y: 650, width: 20, height: 10 }
+        ];
+        groupItemsIntoRows(items);
+        const result = extractPotentialDeliveryNotes(items);
+        assertArrayEqual(result.unique, ['26996798', '27008029', '27005099'], 'Split number joined, full numbers kept apart');
+    });
+    
+    test('Validation results should carry provenance for every value', () => {
+        const items = [
+            { text: 'Lieferschein', pageNum: 1, x: 50, y: 700, width: 60, height: 10 },
+            { text: '26996798', pageNum: 1, x: 50, y: 650, width: 40, height: 10 },
+            { text: '21/02/2025', pageNum: 1, x: 200, y: 650, width: 50, height: 10 },
+            { text: '27008029', pageNum: 2, x: 50, y: 650, width: 40, height: 10 },
+            { text: '7180890', pageNum: 3, x: 50, y: 600, width: 35, height: 10 },
+            { text: '123456789', pageNum: 3, x: 50, y: 580, width: 45, height: 10 }
+        ];
+        const rows = groupItemsIntoRows(items);
+        const result = validateDeliveryNotes(extractPotentialDeliveryNotes(items, FORMAT_PROFILES.default, rows));
+        const accepted = result.provenance['26996798'];
+        assertEqual(accepted.length, 1, 'Accepted occurrence count');
+        assertEqual(formatOccurrence(accepted[0]), 'page 1, line 2: 26996798 21/02/2025', 'Accepted location');
+        assertEqual(result.autoCorrections[0].occurrences[0].pageNum, 3, 'Correction keeps original page');
+        assertEqual(result.provenance['27180890'][0].lineNum, 1, 'Corrected value looked up via original');
+        assertEqual(result.excluded[0].occurrences[0].lineNum, 2, 'Excluded entry location');
+    });
+    
+    test('Review decisions should update accepted, invalid and corrections', () => {
+        const result = validateDeliveryNotes(makeExtractionResult(['26996798', '27008029', '7180890', '2715703', '12345']));
+        assertEqual(getReviewQueue(result).length, 3, 'Queue: 2 invalid + 1 correction');
+        
+        applyReviewDecision(result, 'invalid', '2715703', 'edit', '27157030');
+        assertEqual(result.accepted.includes('27157030'), true, 'Edited value accepted');
+        const manual = result.autoCorrections.find(c => c.manual && c.corrected === '27157030');
+        assertEqual(typeof manual?.confidence, 'number', 'Recorded as manual correction with numeric confidence');
+        
+        applyReviewDecision(result, 'invalid', '12345', 'reject');
+        assertEqual(result.invalid.length, 0, 'No invalid left');
+        assertEqual(result.excluded[0].value, '12345', 'Rejected value excluded');
+        
+        applyReviewDecision(result, 'correction', '7180890', 'reject');
+        assertEqual(result.accepted.includes('27180890'), false, 'Rejected correction removed');
+        assertEqual(getReviewQueue(result).length, 0, 'Queue empty');
+        assertEqual(result.reviewDecisions.length, 3, 'Decisions recorded');
+        assertEqual(result.uniqueCount, 3, 'Unique count updated');
+    });
+    
+    test('Rejecting a correction should keep a value that was also found on its own', () => {
+        const items = [
+            { text: '26996798', pageNum: 1, x: 50, y: 700, width: 40 },
+            { text: '27008029', pageNum: 1, x: 50, y: 680, width: 40 },
+            { text: '2715703', pageNum: 2, x: 50, y: 700, width: 40 },
+            { text: '2715704', pageNum: 2, x: 50, y: 680, width: 40 },
+            { text: '2715705', pageNum: 3, x: 50, y: 700, width: 40 }
+        ];
+        const results = analyzeTextItems(items, groupItemsIntoRows(items), 3, [], {});
+        applyReviewDecision(results, 'invalid', '2715703', 'edit', '26996798');
+        applyReviewDecision(results, 'correction', '2715703', 'reject');
+        assertEqual(results.accepted.includes('26996798'), true, 'Original occurrence keeps the note');
+        assertEqual(formatPages(results.provenance['26996798']), '1', 'Page of the rejected correction dropped');
+        
+        applyReviewDecision(results, 'invalid', '2715704', 'edit', '27157040');
+        applyReviewDecision(results, 'invalid', '2715705', 'edit', '27157040');
+        applyReviewDecision(results, 'correction', '2715704', 'reject');
+        assertEqual(results.accepted.includes('27157040'), true, 'Other correction keeps the note');
+        applyReviewDecision(results, 'correction', '2715705', 'reject');
+        assertEqual(results.accepted.includes('27157040'), false, 'Removed with its last source');
+        assertEqual(results.uniqueCount, 2, 'Unique count');
+    });
+    
+    test('Review edit should reject values that do not fit the profile', () => {
+        const result = validateDeliveryNotes(makeExtractionResult(['7180890']));
+        let error = '';
+        try {
+            applyReviewDecision(result, 'invalid', '7180890', 'edit', '123');
+        } catch (e) {
+            error = e.message;
+        }
+        assertEqual(error, 'Corrected value must have 8 digits', 'Error message');
+        assertEqual(result.invalid.length, 1, 'Entry stays in queue');
+    });
+    
+    test('Review accept of an invalid value should need a profile override', () => {
+        const result = validateDeliveryNotes(makeExtractionResult(['12345']));
+        let error = '';
+        try {
+            applyReviewDecision(result, 'invalid', '12345', 'accept');
+        } catch (e) {
+            error = e.message;
+        }
+        assertEqual(error, '12345 must have 8 digits', 'Error message');
+        assertEqual(result.accepted.length, 0, 'Not accepted without override');
+        
+        const decision = applyReviewDecision(result, 'invalid', '12345', 'accept', '', true);
+        assertEqual(result.accepted.includes('12345'), true, 'Accepted with override');
+        assertEqual(decision.profileOverride, '12345 must have 8 digits', 'Override recorded');
+    });
+    
+    test('Detailed workbook should list every category with pages', () => {
+        const items = [
+            { text: '26996798', pageNum: 1 },
+            { text: '26996798', pageNum: 2 },
+            { text: '27008029', pageNum: 2 },
+            { text: '7180890', pageNum: 3 },
+            { text: '123456789', pageNum: 3 },
+            { text: '12345', pageNum: 4 }
+        ];
+        const result = validateDeliveryNotes(extractPotentialDeliveryNotes(items));
+        const sheets = buildDetailedWorkbookSheets(result, 'test.pdf');
+        assertArrayEqual(Object.keys(sheets), ['Accepted', 'Auto-Corrections', 'Excluded', 'Invalid', 'Duplicates', 'DN-Transport ID', 'Line Items', 'Audit Trail', 'Summary'], 'Sheet names');
+        const row = sheets['Accepted'].find(r => r[0] === '26996798');
+        assertEqual(row[1], '1, 2', 'Pages of accepted note');
+        const corrected = sheets['Accepted'].find(r => r[0] === '27180890');
+        assertEqual(corrected[2], 'Auto-corrected from 7180890', 'Correction status');
+        assertEqual(sheets['Auto-Corrections'][1][0], '7180890', 'Correction original');
+        assertEqual(sheets['Excluded'].length, 2, 'Excluded header + 1 row');
+        assertEqual(sheets['Duplicates'][1][1], 2, 'Duplicate count');
+        assertEqual(sheets['Summary'][0][1], 'test.pdf', 'Summary file name');
+    });
+    
+    test('Master workbook should de-duplicate and sort notes across files', () => {
+        const a = validateDeliveryNotes(makeExtractionResult(['27008029', '26996798', '7180890']));
+        const b = validateDeliveryNotes(makeExtractionResult(['26996798', '12345']));
+        const sheets = buildMasterWorkbookSheets([{ name: 'a.pdf', results: a }, { name: 'b.pdf', results: b }]);
+        const master = sheets['Delivery Notes'];
+        assertEqual(master.length, 4, 'Header + 3 unique notes');
+        assertEqual(master[1][0], '26996798', 'Sorted ascending');
+        assertEqual(master[1][4], 'b.pdf', 'Also found in second file');
+        assertEqual(master[3][3], 'Auto-corrected from 7180890', 'Correction status');
+        const perFile = sheets['Per File'];
+        assertEqual(perFile[perFile.length - 1][1], 4, 'Total accepted across files');
+        assertEqual(perFile[2][4], 1, 'Invalid count for second file');
+    });
+    
+    test('Worker source should compile and ship the whole pipeline', () => {
+        const source = buildWorkerSource();
+        new Function(source); // throws on syntax errors
+        for (const fn of WORKER_FUNCTIONS) {
+            assertEqual(source.includes(`function ${fn.name}(`), true, `Worker includes ${fn.name}`);
+        }
+        const pdfjsUrl = new URL(CONFIG.PDFJS_URL, location.href);
+        assertEqual(pdfjsUrl.origin, new URL(location.href).origin, 'pdf.js from the page origin');
+        assertEqual(source.includes(JSON.stringify(pdfjsUrl.href)), true, 'Absolute pdf.js URL in the blob worker');
+        assertEqual(source.includes('beforePage: waitWhilePaused'), true, 'Pause checked between pages');
+    });
+    
+    test('Worker pool should pass pause and resume on to busy workers', () => {
+        const posted = [];
+        const RealWorker = window.Worker;
+        window.Worker = class {
+            postMessage(message) { posted.push(message); }
+            terminate() {}
+        };
+        try {
+            const pool = createWorkerPool(2);
+            pool.run(new ArrayBuffer(1), {}).catch(() => {});
+            pool.setPaused(true);
+            assertEqual(posted.filter(m => m.control === 'pause').length, 2, 'Every worker paused');
+            pool.setPaused(false);
+            assertEqual(posted.filter(m => m.control === 'resume').length, 2, 'Every worker resumed');
+            pool.terminate();
+        } finally {
+            window.Worker = RealWorker;
+        }
+    });
+    
+    test('Session records should round-trip and reset interrupted files', () => {
+        const files = new Map([
+            ['a', { id: 'a', name: 'a.pdf', size: 1, status: 'done', error: null, results: { accepted: ['26996798'] } }],
+            ['b', { id: 'b', name: 'b.pdf', size: 2, status: 'processing', error: null, results: null }]
+        ]);
+        const record = serializeSession(files, { id: 's1', name: 'Test', createdAt: 0 });
+        assertEqual(record.fileCount, 2, 'File count');
+        assertEqual(record.doneCount, 1, 'Done count');
+        
+        const blobs = [
+            { id: 's1:excel:a', sessionId: 's1', kind: 'excel', fileId: 'a', blob: 'xlsx-a' },
+            { id: 's1:excel:gone', sessionId: 's1', kind: 'excel', fileId: 'gone', blob: 'xlsx-gone' },
+            { id: 's1:pdf:b', sessionId: 's1', kind: 'pdf', fileId: 'b', blob: 'pdf-b' }
+        ];
+        const restored = deserializeSession(record, blobs);
+        assertArrayEqual(restored.files.get('a').results.accepted, ['26996798'], 'Results restored');
+        assertEqual(restored.files.get('b').status, 'pending', 'Interrupted file back to pending');
+        assertEqual(restored.files.get('b').file, 'pdf-b', 'PDF from the blob store');
+        assertArrayEqual(Array.from(restored.excelBlobs.keys()), ['a'], 'Excel blobs of known files only');
+    });
+    
+    test('Session saves should only write new or replaced blobs', () => {
+        const files = new Map([['a', { id: 'a', file: 'pdf-a' }], ['b', { id: 'b', file: 'pdf-b' }]]);
+        const excelBlobs = new Map([['a', 'xlsx-a']]);
+        const first = getSessionBlobChanges('s1', files, excelBlobs, new Map());
+        assertEqual(first.puts.length, 3, 'First save writes every blob');
+        assertEqual(serializeSession(files, { id: 's1' }).files[0].file, undefined, 'No blobs in the session record');
+        
+        const saved = new Map(first.puts.map(b => [b.id, b.blob]));
+        assertEqual(getSessionBlobChanges('s1', files, excelBlobs, saved).puts.length, 0, 'Unchanged blobs not rewritten');
+        
+        files.delete('b');
+        excelBlobs.set('a', 'xlsx-a-reviewed');
+        const next = getSessionBlobChanges('s1', files, excelBlobs, saved);
+        assertArrayEqual(next.puts.map(b => b.id), ['s1:excel:a'], 'Regenerated Excel rewritten');
+        assertArrayEqual(next.deletes, ['s1:pdf:b'], 'Removed file deleted');
+    });
+    
+    test('Cross-file duplicates should list every file and page', () => {
+        const occ = (pageNum) => [{ pageNum, lineNum: 1, context: '' }];
+        const dups = findCrossFileDuplicates([
+            { id: 'a', name: 'a.pdf', results: { accepted: ['26996798', '27008029'], provenance: { '26996798': occ(3) } } },
+            { id: 'b', name: 'b.pdf', results: { accepted: ['26996798'], provenance: { '26996798': occ(1) } } },
+            { id: 'c', name: 'c.pdf', results: { accepted: ['27008030'] } }
+        ]);
+        assertEqual(dups.length, 1, 'Only values found in two or more files');
+        assertEqual(dups[0].value, '26996798', 'Duplicate value');
+        assertEqual(dups[0].count, 2, 'File count');
+        assertEqual(dups[0].reason, 'In 2 files: a.pdf (p. 3); b.pdf (p. 1)', 'Reason lists files and pages');
+        assertEqual(dups[0].occurrences[1].fileId, 'b', 'Occurrences tagged with file');
+    });
+    
+    test('Ledger should keep the first export and flag notes from other sessions', () => {
+        const entries = new Map();
+        mergeLedgerEntries(entries, [{ value: '26996798', exportedAt: '2025-03-01T00:00:00Z', fileName: 'b.pdf', sessionId: 's2' }]);
+        const added = mergeLedgerEntries(entries, [
+            { value: '26996798', exportedAt: '2025-02-01T00:00:00Z', fileName: 'a.pdf', sessionId: 's1' },
+            { value: '27008029', exportedAt: '2025-04-01T00:00:00Z', fileName: 'c.pdf', sessionId: 's3' },
+            { value: ' ', exportedAt: '2025-04-01T00:00:00Z' }
+        ]);
+        assertEqual(added.length, 2, 'Earlier export replaces, blank values skipped');
+        assertEqual(entries.get('26996798').fileName, 'a.pdf', 'First export wins');
+        
+        const files = [{ id: 'x', name: 'new.pdf', results: { accepted: ['26996798', '27008029', '27008030'] } }];
+        const flagged = findPreviouslySubmitted(files, entries, 's3');
+        assertArrayEqual(flagged.map(f => f.value), ['26996798'], 'Own session not flagged');
+        assertEqual(flagged[0].sessionId, 's1', 'Links to earlier session');
+    });
+    
+    test('Deleting a session should unlink its ledger entries', () => {
+        const entries = new Map();
+        mergeLedgerEntries(entries, [
+            { value: '26996798', fileName: 'a.pdf', sessionId: 's1', sessionName: 'March' },
+            { value: '27008029', fileName: 'b.pdf', sessionId: 's2', sessionName: 'April' }
+        ]);
+        const changed = unlinkLedgerSession(entries, 's1');
+        assertEqual(changed.length, 1, 'Only the deleted session\'s entries change');
+        assertEqual(entries.get('26996798').sessionId, '', 'Link cleared');
+        assertEqual(entries.get('26996798').sessionName, 'March (deleted)', 'Name kept, marked deleted');
+        assertEqual(entries.get('27008029').sessionId, 's2', 'Other sessions untouched');
+        
+        const flagged = findPreviouslySubmitted([{ id: 'x', name: 'new.pdf', results: { accepted: ['26996798'] } }], entries, 's3');
+        assertEqual(flagged[0].sessionId, '', 'No "Open earlier session" link');
+    });
+    
+    test('Expected list should be read from its delivery note column', () => {
+        const rows = [
+            ['Customer', 'Delivery Note', 'Qty'],
+            ['4711', '26996798', '360'],
+            ['4711', ' 2700 8029 ', '12'],
+            ['4712', '0026996799', '1'],
+            ['', '', '']
+        ];
+        assertArrayEqual(parseExpectedRows(rows), ['26996798', '27008029', '26996799'], 'Column values only, normalized');
+        assertArrayEqual(parseExpectedRows([['26996798', 'x'], ['12', '27008029']]), ['26996798', '27008029'], 'Without header every long numeric cell');
+    });
+    
+    test('Reconciliation should split matched, missing and unexpected', () => {
+        const files = [
+            { id: 'a', name: 'a.pdf', results: { accepted: ['26996798', '27008029'] } },
+            { id: 'b', name: 'b.pdf', results: { accepted: ['26996798'] } }
+        ];
+        const r = reconcileExpected(['26996798', '27008030'], files);
+        assertArrayEqual(r.matched.map(i => i.value), ['26996798'], 'Matched');
+        assertArrayEqual(r.matched[0].files, ['a.pdf', 'b.pdf'], 'Matched files');
+        assertArrayEqual(r.missing.map(i => i.value), ['27008030'], 'Missing');
+        assertArrayEqual(r.unexpected.map(i => i.value), ['27008029'], 'Unexpected');
+    });
+    
+    test('Check-digit algorithms should verify known numbers', () => {
+        assertEqual(CHECK_DIGIT_ALGORITHMS.luhn('79927398713'), true, 'Luhn valid');
+        assertEqual(CHECK_DIGIT_ALGORITHMS.luhn('79927398710'), false, 'Luhn invalid');
+        // 2699679 from the right × 2,3,4,5,6,7,2 = 208, 208 % 11 = 10 → check 1
+        assertEqual(CHECK_DIGIT_ALGORITHMS.mod11('26996791'), true, 'Mod 11 valid');
+        assertEqual(CHECK_DIGIT_ALGORITHMS.mod11('26996798'), false, 'Mod 11 invalid');
+        // Weights 1,3: 2+18+9+27+6+21+9 = 92 → check 8
+        assertEqual(CHECK_DIGIT_ALGORITHMS.weighted('26996798', { weights: [1, 3] }), true, 'Weighted valid');
+        assertEqual(checkDigitFailure('26996798', FORMAT_PROFILES.default), null, 'No check digit configured');
+    });
+    
+    test('Check-digit profile should reject failing numbers and corrections', () => {
+        const results = validateDeliveryNotes({
+            unique: ['26996793', '27010008', '26996798', '7008028', '7000001'],
+            duplicates: [], totalCount: 5, occurrenceCount: {}
+        }, FORMAT_PROFILES.digits8Luhn);
+        assertArrayEqual(results.accepted, ['26996793', '27010008', '27008028'], 'Valid numbers and passing correction');
+        assertEqual(results.invalid.find(i => i.value === '26996798')?.reason, '8 digits - check digit invalid (luhn)', 'Failing number');
+        assertEqual(results.invalid.find(i => i.value === '7000001')?.reason,
+            '7 digits - needs manual review (best guess 17000001, confidence 51%, check digit rejected 27000001, 37000001)', 'Failing correction');
+    });
+    
+    test('Check-digit profile should fall back to the next prefix model candidate', () => {
+        const notes = ['27008002', '27008010', '27008028', '37008109', '37008117'];
+        const results = validateDeliveryNotes(makeExtractionResult([...notes, '7008059', '7008050']), FORMAT_PROFILES.digits8Luhn);
+        const correction = results.autoCorrections.find(c => c.original === '7008059');
+        assertEqual(correction?.corrected, '37008059', '27008059 fails Luhn, 37008059 passes');
+        assertEqual(correction.reason.includes('check digit rejected 27008059'), true, 'Rejected candidate listed');
+        assertEqual(results.invalid.find(i => i.value === '7008050')?.reason,
+            '7 digits - none of the likely corrections passes the check digit (rejected 27008050, 37008050, 17008050)', 'No candidate passes');
+    });
+    
+    test('Prefix model should score candidates with confidence and alternatives', () => {
+        const result = validateDeliveryNotes(makeExtractionResult(['26996798', '27008029', '27005099', '7180890']));
+        const c = result.autoCorrections[0];
+        assertEqual(c.corrected, '27180890', 'Best candidate');
+        assertEqual(typeof c.confidence, 'number', 'Numeric confidence');
+        assertEqual(c.confidence >= CONFIG.PREFIX_MODEL_MIN_CONFIDENCE, true, 'Confident correction');
+        assertEqual(c.alternatives.length, CONFIG.PREFIX_MODEL_ALTERNATIVES, 'Alternatives listed');
+        assertEqual(c.alternatives[0].value, '27180890', 'Best candidate first');
+    });
+    
+    test('Prefix model should send ambiguous corrections to review', () => {
+        // Two equally common ranges - no clear leading digit
+        const result = validateDeliveryNotes(makeExtractionResult([
+            '26996798', '26996799', '36996798', '36996799', '6996800'
+        ]));
+        assertEqual(result.autoCorrections.length, 0, 'Not auto-corrected');
+        const entry = result.invalid.find(i => i.value === '6996800');
+        assertEqual(/needs manual review/.test(entry.reason), true, 'Goes to review');
+        assertArrayEqual(entry.alternatives.slice(0, 2).map(a => a.value), ['26996800', '36996800'], 'Both ranges offered');
+    });
+    
+    test('Batch reference notes should feed the prefix model', () => {
+        const extraction = makeExtractionResult(['7180890']);
+        const alone = validateDeliveryNotes(extraction);
+        assertEqual(alone.autoCorrections.length, 0, 'No pattern within the file');
+        const withBatch = validateDeliveryNotes(extraction, FORMAT_PROFILES.default, { referenceNotes: ['26996798', '27008029'] });
+        assertEqual(withBatch.autoCorrections[0]?.corrected, '27180890', 'Corrected from batch notes');
+    });
+    
+    test('Transport IDs should be classified and paired with delivery notes', () => {
+        const items = [
+            { text: '26996798', pageNum: 1, x: 100, y: 700, width: 40, height: 10 },
+            { text: '1234567890', pageNum: 1, x: 300, y: 700, width: 50, height: 10 },
+            { text: '27008029', pageNum: 1, x: 100, y: 600, width: 40, height: 10 },
+            { text: '987654321', pageNum: 2, x: 300, y: 500, width: 50, height: 10 }
+        ];
+        const rows = groupItemsIntoRows(items);
+        const profile = FORMAT_PROFILES.default;
+        const results = validateDeliveryNotes(extractPotentialDeliveryNotes(items, profile, rows), profile);
+        assertEqual(results.excluded.length, 2, 'Excluded before classification');
+        
+        extractTransportIds(results, items, rows);
+        assertEqual(results.excluded.length, 0, 'Transport IDs leave excluded');
+        assertArrayEqual(results.transportIds.map(t => t.value), ['1234567890', '987654321'], 'Transport IDs');
+        const byNote = Object.fromEntries(results.transportPairs.map(p => [p.deliveryNote, p]));
+        assertEqual(byNote['26996798'].match, 'row', 'Same row pairing');
+        assertEqual(byNote['27008029'].transportId, '1234567890', 'Same page pairing');
+        assertEqual(byNote['27008029'].match, 'page', 'Page match');
+        
+        const mapping = buildTransportMappingRows(results);
+        assertEqual(mapping[mapping.length - 1].join('|'), '|987654321|Unpaired|2', 'Unpaired Transport ID listed');
+    });
+    
+    test('Corrected note originals should not become Transport IDs', () => {
+        const items = [
+            { text: '0080652245', pageNum: 1, x: 100, y: 700, width: 50, height: 10 },
+            { text: '1234567890', pageNum: 1, x: 300, y: 700, width: 50, height: 10 }
+        ];
+        const rows = groupItemsIntoRows(items);
+        const profile = FORMAT_PROFILES.default;
+        const results = validateDeliveryNotes(extractPotentialDeliveryNotes(items, profile, rows), profile);
+        assertEqual(results.autoCorrections[0]?.corrected, '80652245', 'Leading zeros stripped');
+        
+        extractTransportIds(results, items, rows);
+        assertArrayEqual(results.transportIds.map(t => t.value), ['1234567890'], 'Only the real Transport ID');
+        assertEqual(getAuditTrail(results, '0080652245').some(s => s.rule === 'transport-id'), false, 'No Transport ID step on the original');
+    });
+    
+    test('Page pairing should need a single Transport ID on the page', () => {
+        const items = [
+            { text: '26996798', pageNum: 1, x: 100, y: 700, width: 40, height: 10 },
+            { text: '1234567890', pageNum: 1, x: 300, y: 650, width: 50, height: 10 },
+            { text: '1234567891', pageNum: 1, x: 300, y: 500, width: 50, height: 10 }
+        ];
+        const rows = groupItemsIntoRows(items);
+        const profile = FORMAT_PROFILES.default;
+        const results = validateDeliveryNotes(extractPotentialDeliveryNotes(items, profile, rows), profile);
+        extractTransportIds(results, items, rows);
+        assertEqual(results.transportIds.length, 2, 'Both Transport IDs found');
+        assertEqual(results.transportPairs.length, 0, 'No guessed pairing');
+    });
+    
+    test('Transport ID format should be configurable separately', () => {
+        const items = [
+            { text: 'TR 1234567890', pageNum: 1, x: 300, y: 700, width: 50, height: 10 },
+            { text: '9876543210', pageNum: 1, x: 300, y: 600, width: 50, height: 10 }
+        ];
+        const results = { accepted: [], excluded: [], invalid: [], provenance: {} };
+        extractTransportIds(results, items, groupItemsIntoRows(items), getTransportIdFormat('prefixedTR'));
+        assertArrayEqual(results.transportIds.map(t => t.value), ['1234567890'], 'Only TR-prefixed IDs');
+    });
+    
+    test('Line items should pair notes with date, part number and quantity', () => {
+        const items = [
+            { text: '21/02/2025', pageNum: 1, x: 50, y: 700, width: 40, height: 10 },
+            { text: '26996798', pageNum: 1, x: 100, y: 700, width: 40, height: 10 },
+            { text: '146505902R', pageNum: 1, x: 200, y: 700, width: 50, height: 10 },
+            { text: '10', pageNum: 1, x: 260, y: 700, width: 10, height: 10 },
+            { text: '360.0', pageNum: 1, x: 300, y: 700, width: 20, height: 10 },
+            { text: '27008029', pageNum: 1, x: 100, y: 600, width: 40, height: 10 }
+        ];
+        const rows = groupItemsIntoRows(items);
+        const profile = FORMAT_PROFILES.default;
+        const results = validateDeliveryNotes(extractPotentialDeliveryNotes(items, profile, rows), profile);
+        extractLineItems(results, rows);
+        
+        const first = results.lineItems.find(li => li.deliveryNote === '26996798');
+        assertEqual(first.date, '21/02/2025', 'Date');
+        assertEqual(first.partNumber, '146505902R', 'Part number');
+        assertEqual(first.quantity, '360.0', 'Decimal quantity preferred');
+        const second = results.lineItems.find(li => li.deliveryNote === '27008029');
+        assertEqual(second.date + second.partNumber + second.quantity, '', 'Empty fields when row has none');
+        assertEqual(classifyField('2025-02-21'), 'date', 'ISO date');
+    });
+    
+    test('Core API should expose the pipeline and share CONFIG with the app', () => {
+        assertEqual(DNCore.validateDeliveryNotes, validateDeliveryNotes, 'Same validation function');
+        assertEqual(DNCore.CONFIG, CONFIG, 'Same CONFIG object');
+        assertEqual(typeof DNCore.extract, 'function', 'extract()');
+        assertEqual(DNCore.CONFIG.MAX_FILES, 500, 'App settings added on top');
+    });
+    
+    test('JSON results export should round-trip files, reasons and provenance', () => {
+        const items = [
+            { text: '26996798', pageNum: 2, x: 100, y: 700, width: 40, height: 10 },
+            { text: '123456789', pageNum: 2, x: 100, y: 680, width: 40, height: 10 }
+        ];
+        const results = validateDeliveryNotes(extractPotentialDeliveryNotes(items), FORMAT_PROFILES.default);
+        const files = new Map([
+            ['f1', { id: 'f1', file: {}, name: 'a.pdf', size: 10, status: 'done', error: null, results }],
+            ['f2', { id: 'f2', file: {}, name: 'b.pdf', size: 20, status: 'pending', error: null, results: null }]
+        ]);
+        const exported = buildResultsExport(files, { profileId: 'default', transportFormatId: 'default' });
+        assertEqual(exported.version, RESULTS_EXPORT_VERSION, 'Versioned');
+        assertEqual(exported.config.REGEX_8_DIGITS, '/^\\d{8}$/', 'RegExp config as text');
+        
+        const imported = parseResultsExport(JSON.stringify(exported));
+        const a = imported.files.get('f1');
+        assertEqual(a.status, 'done', 'Done file kept');
+        assertEqual(a.file, null, 'No PDF');
+        assertArrayEqual(a.results.accepted, ['26996798'], 'Accepted');
+        assertEqual(a.results.excluded[0].reason, results.excluded[0].reason, 'Reason kept');
+        assertEqual(a.results.provenance['26996798'][0].pageNum, 2, 'Provenance kept');
+        assertEqual(imported.files.get('f2').status, 'error', 'Unprocessed file cannot be processed');
+        
+        let error = null;
+        try { parseResultsExport(JSON.stringify({ ...exported, version: RESULTS_EXPORT_VERSION + 1 })); } catch (e) { error = e; }
+        assertEqual(!!error, true, 'Newer version rejected');
+        for (const version of ['1', 0, 1.5, undefined]) {
+            error = null;
+            try { parseResultsExport(JSON.stringify({ ...exported, version })); } catch (e) { error = e; }
+            assertEqual(error?.message, 'Export has no valid version', `Version ${version} rejected`);
+        }
+        assertEqual(imported.options.transportFormatId, 'default', 'Options kept');
+    });
+    
+    test('JSON import should switch to the exported profile and Transport ID format', () => {
+        const before = { ...AppState.options };
+        try {
+            AppState.options.profileId = 'default';
+            const switched = restoreImportedOptions({ profileId: 'digits9', transportFormatId: 'nope' });
+            assertEqual(AppState.options.profileId, 'digits9', 'Profile restored');
+            assertEqual(AppState.options.transportFormatId, before.transportFormatId, 'Unknown format ignored');
+            assertEqual(switched.length, 1, 'Change reported');
+            assertEqual(restoreImportedOptions({ profileId: 'digits9' }).length, 0, 'Nothing to switch');
+        } finally {
+            AppState.options = before;
+            saveProfileSelection(before.profileId);
+            saveTransportFormatSelection(before.transportFormatId);
+            renderFormatSelects();
+        }
+    });
+    
+    test('JSON import should only install valid profiles and Transport ID formats', () => {
+        const valid = { ...FORMAT_PROFILES.digits9, id: 'imported9', name: 'Imported 9' };
+        const profiles = {
+            imported9: valid,
+            noRange: { ...valid, id: 'noRange', candidateLengths: undefined },
+            badPattern: { ...valid, id: 'badPattern', exclusions: [{ pattern: '([', reason: 'x' }] },
+            badCheck: { ...valid, id: 'badCheck', checkDigit: { algorithm: 'nope' } },
+            default: { id: 'default' }
+        };
+        const transportFormat = { ...TRANSPORT_ID_FORMATS.default, id: 'importedTR', lengths: 'ten' };
+        try {
+            const rejected = installImportedFormats({ profiles, transportFormat });
+            assertEqual(FORMAT_PROFILES.imported9, valid, 'Valid profile installed');
+            assertEqual(rejected.length, 4, 'Invalid entries reported');
+            for (const id of ['noRange', 'badPattern', 'badCheck']) {
+                assertEqual(FORMAT_PROFILES[id], undefined, `${id} not installed`);
+            }
+            assertEqual(FORMAT_PROFILES.default.length, 8, 'Existing profile kept');
+            assertEqual(TRANSPORT_ID_FORMATS.importedTR, undefined, 'Invalid Transport ID format not installed');
+            assertEqual(restoreImportedOptions({ profileId: 'badCheck' }).length, 0, 'No switch to a rejected profile');
+            assertEqual(getFormatProfile('badCheck'), FORMAT_PROFILES.default, 'Rejected profile falls back to default');
+        } finally {
+            delete FORMAT_PROFILES.imported9;
+        }
+    });
+    
+    test('Audit trail should explain the prefix-model correction step by step', () => {
+        const notes = [];
+        for (let i = 0; i < 13; i++) notes.push(String(26996700 + i));  // + 0026996799 stripped = 14
+        for (let i = 0; i < 6; i++) notes.push(String(37008000 + i));
+        const extraction = {
+            unique: [...notes, '6996798', '2715703', '0026996799', '0123456789'],
+            duplicates: [], totalCount: 24, occurrenceCount: {}
+        };
+        const results = validateDeliveryNotes(extraction, FORMAT_PROFILES.default);
+        
+        const short = getAuditTrail(results, '6996798');
+        assertEqual(short[0].rule, 'length', 'Length first');
+        assertEqual(short[1].rule, 'prefix-model', 'Prefix model step');
+        assertEqual(short[1].outcome, 'corrected', 'Confident enough to correct');
+        assertEqual(short[1].inputs.count, 20, 'Inputs recorded');
+        assertEqual(short[short.length - 1].outcome, 'accepted', 'Ends accepted');
+        assertEqual(getAuditTrail(results, '26996798').length, short.length, 'Corrected value carries the chain');
+        
+        assertEqual(getAuditTrail(results, '2715703')[2].rule, 'starts-with-digit', 'Already starts with the prepended digit');
+        assertEqual(getAuditTrail(results, '0026996799')[0].rule, 'leading-zero-strip', 'Leading zero strip');
+        assertEqual(getAuditTrail(results, '0123456789')[1].outcome, 'excluded', 'Exclusion after failed strip');
+    });
+    
+    test('Leading digit step should name the digit the prefix model prepends', () => {
+        const notes = [];
+        for (let i = 0; i < 10; i++) notes.push(String(26996700 + i * 13));
+        for (let i = 0; i < 9; i++) notes.push(String(37800000 + i * 17));
+        const results = validateDeliveryNotes(makeExtractionResult([...notes, '7800123']), FORMAT_PROFILES.default);
+        
+        const correction = results.autoCorrections.find(c => c.original === '7800123');
+        assertEqual(correction.corrected, '37800123', 'Prefix model picks 3, not the more common 2');
+        assertEqual(getAuditTrail(results, '7800123')[1].inputs.best, '37800123', 'Step names the prepended digit');
+        assertEqual(getAuditTrail(results, '7800123')[1].text.startsWith('prefix model (19 notes): 37800123'), true, 'Step text');
+    });
+    
+    test('Prefix model should correct without a dominant first digit', () => {
+        // Only 4 of 15 notes start with 2, but 7000050 sits in their range
+        const notes = ['27000011', '27000024', '27000037', '27000042', '11234567', '14829301', '33456789', '38456789',
+            '45678901', '56789012', '68901234', '84012345', '90123456', '96123456', '51234567'];
+        const results = validateDeliveryNotes(makeExtractionResult([...notes, '7000050']), FORMAT_PROFILES.default);
+        assertEqual(results.autoCorrections[0]?.corrected, '27000050', 'Corrected from the range');
+    });
+    
+    test('Prefix model should send thin evidence to review', () => {
+        const results = validateDeliveryNotes(makeExtractionResult(['26996798', '7180890']), FORMAT_PROFILES.default);
+        assertEqual(results.autoCorrections.length, 0, 'One reference note does not correct');
+        assertEqual(results.invalid[0].alternatives[0].value, '27180890', 'Best guess offered for review');
+        assertEqual(results.invalid[0].alternatives[0].confidence < CONFIG.PREFIX_MODEL_MIN_CONFIDENCE, true, 'Confidence below the minimum');
+    });
+    
     // Test 10: Real PDF values from screenshots
     test('Real PDF delivery notes should be ACCEPTED', () => {
         const realValues = [
@@ -0,0 +1,1984 @@
+/**
+ * ============================================================================
+ * DELIVERY NOTE EXTRACTOR - CORE
+ * ============================================================================
+ * 
+ * DOM-free extraction and validation pipeline: pdf.js text stage, row and
+ * column reconstruction, candidate scanning, validation, Transport IDs and
+ * line items. No AppState, no document, no notifications.
+ * 
+ * Browser:  <script src="dn-core.js"></script> before app.js. Everything
+ *           below is a global (app.js and the worker pool use it directly),
+ *           and window.DNCore holds the public API.
+ * Node:     const DNCore = require('./dn-core.js');
+ *           (needs `npm install pdfjs-dist@3` for extract())
+ * 
+ * API:
+ *   DNCore.extract(pdfBytes, options) → Promise<result>
+ *     pdfBytes  Uint8Array | ArrayBuffer | Buffer
+ *     options   profileId          key of FORMAT_PROFILES (default 'default')
+ *               transportFormatId  key of TRANSPORT_ID_FORMATS
+ *               headerAnchoring    only accept numbers under a header label
+ *               headerLabels       labels for headerAnchoring
+ *               referenceNotes     accepted notes from other files (prefix model)
+ *               logger             { log, warn } for the extraction log, e.g.
+ *                                  console (default: silent)
+ *               ocrPage(page, pageNum) → items   OCR hook for pages without text
+ *               pdfjsLib           pdf.js build to use (default: global
+ *                                  pdfjsLib, or pdfjs-dist in Node)
+ *     result    { accepted, excluded, invalid, duplicates, autoCorrections,
+ *                 provenance, transportIds, transportPairs, lineItems,
+ *                 headerAnchors, pageCount, ocrPages, rowCount, ... }
+ *               - the same shape processPDF returns in the app
+ *     Rejects with an Error when the PDF has no text at all.
+ * 
+ *   The stages are exported as well: extractTextItems, groupItemsIntoRows,
+ *   extractPotentialDeliveryNotes, validateDeliveryNotes, analyzeTextItems,
+ *   plus the workbook layouts (buildDetailedWorkbookSheets,
+ *   buildMasterWorkbookSheets) and findCrossFileDuplicates.
+ * ============================================================================
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// Extraction settings. app.js adds its own (UI, storage, workers) to this
+// object; everything here is also shipped to the worker pool as JSON.
+const CONFIG = {
+    // Delivery Note validation patterns
+    REGEX_8_DIGITS: /^\d{8}$/,
+    REGEX_7_DIGITS: /^\d{7}$/,
+    REGEX_9_DIGITS: /^\d{9}$/,
+    REGEX_10_DIGITS: /^\d{10}$/,
+    
+    // Pattern for potential delivery notes (7-10 pure digits)
+    POTENTIAL_DN_PATTERN: /^\d{7,10}$/,
+    
+    // Field classifiers for line items: words that are NOT delivery notes
+    // but belong next to them on the row (checked in this order; strings so
+    // they survive the trip into the worker pool)
+    FIELD_CLASSIFIERS: {
+        date: [
+            '^\\d{1,2}[./-]\\d{1,2}[./-]\\d{2,4}$',     // Dates like 21/02/2025, 21.02.25
+            '^\\d{4}-\\d{2}-\\d{2}$'                    // ISO dates like 2025-02-21
+        ],
+        partNumber: [
+            '^(?=.*\\d)(?=.*[A-Z])[A-Z0-9][A-Z0-9./-]{4,}$' // Letters + digits like 146505902R
+        ],
+        quantity: [
+            '^\\d{1,6}(?:[.,]\\d{1,3})?$'                 // Decimals like 360.0, or small integers
+        ]
+    },
+    
+    // Row grouping tolerance (PDF units - items whose baselines differ by
+    // less than this are considered to sit on the same line)
+    ROW_Y_TOLERANCE: 8,
+    
+    // Column grouping tolerance (PDF units - items whose left edges differ by
+    // less than this are considered to sit in the same column)
+    COLUMN_X_TOLERANCE: 15,
+    
+    // Column-header anchoring: when enabled, only numbers below one of these
+    // labels and inside its x-range are considered delivery notes
+    HEADER_LABELS: ['Delivery Note', 'Lieferschein', 'Aviz', 'BL'],
+    HEADER_X_MARGIN: 10,
+    
+    // Split-item joining: two items on the same row are one number when the
+    // gap between them is below this share of the text height ("2699" + "6798")
+    SPLIT_ITEM_GAP_RATIO: 0.25,
+    
+    // Short-number correction model: prefix = weights of 1/2/3-digit prefix
+    // frequency, combine = weights of prefix score vs. numeric range score.
+    // Corrections below PREFIX_MODEL_MIN_CONFIDENCE go to review instead.
+    // Confidence is scaled by n / (n + PREFIX_MODEL_EVIDENCE_NOTES) for n
+    // reference notes, so one or two notes alone are not enough evidence.
+    PREFIX_MODEL_WEIGHTS: { prefix: [0.2, 0.4, 0.4], combine: [0.5, 0.5] },
+    PREFIX_MODEL_MIN_CONFIDENCE: 0.6,
+    PREFIX_MODEL_EVIDENCE_NOTES: 1,
+    PREFIX_MODEL_ALTERNATIVES: 3,
+    
+    // Delivery note format profile used when none is selected
+    DEFAULT_PROFILE_ID: 'default',
+    DEFAULT_TRANSPORT_FORMAT_ID: 'default'
+};
+
+// Extraction log sink when the caller passes no options.logger
+const SILENT_LOGGER = { log() {}, warn() {} };
+
+// =============================================================================
+// FORMAT PROFILES
+// =============================================================================
+
+/**
+ * Customer-specific delivery note formats.
+ *
+ * - length:            required number of digits
+ * - candidateLengths:  digit range picked up from the PDF as candidates
+ * - prefixes:          allowed leading digits (empty = any)
+ * - textPrefixes:      literal prefixes stripped from a token ('LS12345678')
+ * - requireTextPrefix: only tokens carrying one of textPrefixes are candidates
+ * - exclusions:        [{ lengths, pattern?, reason }] - excluded, not invalid
+ * - corrections:       stripLeadingZeros (00XXXXXXXX → XXXXXXXX),
+ *                      addLeadingDigit (length-1 digits + leading digit from
+ *                      the prefix model), minConfidence (default
+ *                      PREFIX_MODEL_MIN_CONFIDENCE)
+ * - checkDigit:        null or { algorithm, ...options } - last digit verified
+ *                      by an entry of CHECK_DIGIT_ALGORITHMS
+ */
+const FORMAT_PROFILES = {
+    default: {
+        id: 'default',
+        name: 'Default - 8 digits',
+        description: '8 digits accepted, 9-10 digits excluded (Transport ID), 7 digits get a leading digit from the prefix model',
+        length: 8,
+        candidateLengths: { min: 7, max: 12 },
+        prefixes: [],
+        textPrefixes: [],
+        requireTextPrefix: false,
+        exclusions: [{ lengths: [9, 10], reason: 'likely Transport ID' }],
+        corrections: { stripLeadingZeros: true, addLeadingDigit: true },
+        checkDigit: null
+    },
+    digits6: {
+        id: 'digits6',
+        name: '6 digits',
+        description: 'Exactly 6 digits, leading zeros removed, no leading-digit correction',
+        length: 6,
+        candidateLengths: { min: 6, max: 10 },
+        prefixes: [],
+        textPrefixes: [],
+        requireTextPrefix: false,
+        exclusions: [],
+        corrections: { stripLeadingZeros: true, addLeadingDigit: false },
+        checkDigit: null
+    },
+    digits9: {
+        id: 'digits9',
+        name: '9 digits',
+        description: '9 digits accepted, 10 digits excluded (Transport ID), 8 digits get a leading digit from the prefix model',
+        length: 9,
+        candidateLengths: { min: 8, max: 12 },
+        prefixes: [],
+        textPrefixes: [],
+        requireTextPrefix: false,
+        exclusions: [{ lengths: [10], reason: 'likely Transport ID' }],
+        corrections: { stripLeadingZeros: true, addLeadingDigit: true },
+        checkDigit: null
+    },
+    digits10: {
+        id: 'digits10',
+        name: '10 digits',
+        description: 'Exactly 10 digits, leading zeros removed, no leading-digit correction',
+        length: 10,
+        candidateLengths: { min: 10, max: 12 },
+        prefixes: [],
+        textPrefixes: [],
+        requireTextPrefix: false,
+        exclusions: [],
+        corrections: { stripLeadingZeros: true, addLeadingDigit: false },
+        checkDigit: null
+    },
+    prefixedLS: {
+        id: 'prefixedLS',
+        name: 'LS + 8 digits',
+        description: 'Only numbers printed as LS12345678 (or LS-12345678), 8 digits after the prefix',
+        length: 8,
+        candidateLengths: { min: 7, max: 12 },
+        prefixes: [],
+        textPrefixes: ['LS-', 'LS'],
+        requireTextPrefix: true,
+        exclusions: [{ lengths: [9, 10], reason: 'likely Transport ID' }],
+        corrections: { stripLeadingZeros: true, addLeadingDigit: true },
+        checkDigit: null
+    },
+    digits8Luhn: {
+        id: 'digits8Luhn',
+        name: '8 digits + Luhn check digit',
+        description: 'Like the default profile, but the last digit must be a valid mod 10 (Luhn) check digit',
+        length: 8,
+        candidateLengths: { min: 7, max: 12 },
+        prefixes: [],
+        textPrefixes: [],
+        requireTextPrefix: false,
+        exclusions: [{ lengths: [9, 10], reason: 'likely Transport ID' }],
+        corrections: { stripLeadingZeros: true, addLeadingDigit: true },
+        checkDigit: { algorithm: 'luhn' }
+    },
+    digits8Mod11: {
+        id: 'digits8Mod11',
+        name: '8 digits + mod 11 check digit',
+        description: 'Like the default profile, but the last digit must be a valid mod 11 check digit (weights 2-7)',
+        length: 8,
+        candidateLengths: { min: 7, max: 12 },
+        prefixes: [],
+        textPrefixes: [],
+        requireTextPrefix: false,
+        exclusions: [{ lengths: [9, 10], reason: 'likely Transport ID' }],
+        corrections: { stripLeadingZeros: true, addLeadingDigit: true },
+        checkDigit: { algorithm: 'mod11', weights: [2, 3, 4, 5, 6, 7] }
+    }
+};
+
+function getFormatProfile(profileId) {
+    return FORMAT_PROFILES[profileId] || FORMAT_PROFILES[CONFIG.DEFAULT_PROFILE_ID];
+}
+
+/**
+ * Transport ID formats, chosen separately from the delivery note profile.
+ *
+ * - lengths:           accepted digit counts
+ * - prefixes:          allowed leading digits (empty = any)
+ * - textPrefixes:      literal prefixes stripped from a token ('TR1234567890')
+ * - requireTextPrefix: only tokens carrying one of textPrefixes count
+ */
+const TRANSPORT_ID_FORMATS = {
+    default: {
+        id: 'default',
+        name: 'Transport ID - 9-10 digits',
+        lengths: [9, 10],
+        prefixes: [],
+        textPrefixes: [],
+        requireTextPrefix: false
+    },
+    digits10: {
+        id: 'digits10',
+        name: 'Transport ID - 10 digits',
+        lengths: [10],
+        prefixes: [],
+        textPrefixes: [],
+        requireTextPrefix: false
+    },
+    prefixedTR: {
+        id: 'prefixedTR',
+        name: 'Transport ID - TR + 10 digits',
+        lengths: [10],
+        prefixes: [],
+        textPrefixes: ['TR-', 'TR'],
+        requireTextPrefix: true
+    }
+};
+
+function getTransportIdFormat(formatId) {
+    return TRANSPORT_ID_FORMATS[formatId] || TRANSPORT_ID_FORMATS[CONFIG.DEFAULT_TRANSPORT_FORMAT_ID];
+}
+
+function isDigitCountList(list) {
+    return Array.isArray(list) && list.every(n => Number.isInteger(n) && n > 0);
+}
+
+function isStringList(list) {
+    return Array.isArray(list) && list.every(p => typeof p === 'string');
+}
+
+/**
+ * Why a format profile from outside (e.g. an imported results file) can't
+ * be used, or null if it has the shape described above FORMAT_PROFILES.
+ */
+function findFormatProfileProblem(profile) {
+    if (!profile || typeof profile !== 'object') return 'not an object';
+    if (typeof profile.id !== 'string' || typeof profile.name !== 'string') return 'id and name must be text';
+    if (!Number.isInteger(profile.length) || profile.length < 1) return 'length must be a positive whole number';
+    const range = profile.candidateLengths;
+    if (!range || !Number.isInteger(range.min) || !Number.isInteger(range.max) ||
+        range.min > profile.length || range.max < profile.length) {
+        return `candidateLengths must be whole numbers around length ${profile.length}`;
+    }
+    if (!isStringList(profile.prefixes) || !isStringList(profile.textPrefixes)) return 'prefixes and textPrefixes must be lists of text';
+    if (typeof profile.requireTextPrefix !== 'boolean') return 'requireTextPrefix must be true or false';
+    if (!Array.isArray(profile.exclusions)) return 'exclusions must be a list';
+    for (const rule of profile.exclusions) {
+        if (!rule || typeof rule.reason !== 'string') return 'every exclusion needs a reason';
+        if (rule.lengths !== undefined && !isDigitCountList(rule.lengths)) return `exclusion "${rule.reason}": lengths must be whole numbers`;
+        if (rule.pattern !== undefined) {
+            try {
+                new RegExp(rule.pattern);
+            } catch (error) {
+                return `exclusion "${rule.reason}": invalid pattern ${rule.pattern}`;
+            }
+        }
+    }
+    if (profile.corrections !== undefined && (!profile.corrections || typeof profile.corrections !== 'object')) {
+        return 'corrections must be an object';
+    }
+    const minConfidence = profile.corrections?.minConfidence;
+    if (minConfidence !== undefined && !(minConfidence >= 0 && minConfidence <= 1)) return 'corrections.minConfidence must be between 0 and 1';
+    if (profile.checkDigit && !CHECK_DIGIT_ALGORITHMS[profile.checkDigit.algorithm]) {
+        return `unknown check-digit algorithm '${profile.checkDigit.algorithm}'`;
+    }
+    return null;
+}
+
+/**
+ * Same as findFormatProfileProblem for a Transport ID format.
+ */
+function findTransportIdFormatProblem(format) {
+    if (!format || typeof format !== 'object') return 'not an object';
+    if (typeof format.id !== 'string' || typeof format.name !== 'string') return 'id and name must be text';
+    if (!isDigitCountList(format.lengths) || format.lengths.length === 0) return 'lengths must be whole numbers';
+    if (!isStringList(format.prefixes) || !isStringList(format.textPrefixes)) return 'prefixes and textPrefixes must be lists of text';
+    if (typeof format.requireTextPrefix !== 'boolean') return 'requireTextPrefix must be true or false';
+    return null;
+}
+
+/**
+ * Returns the candidate digits of a text item (spaces and any text prefix
+ * removed) or null if the item is not a candidate under the profile.
+ */
+function getCandidateValue(text, profile = FORMAT_PROFILES.default) {
+    let cleaned = String(text || '').replace(/\s+/g, '');
+    if (!cleaned) return null;
+    
+    const textPrefix = (profile.textPrefixes || []).find(p => cleaned.toUpperCase().startsWith(p.toUpperCase()));
+    if (textPrefix) {
+        cleaned = cleaned.slice(textPrefix.length);
+    } else if (profile.requireTextPrefix) {
+        return null;
+    }
+    
+    const { min, max } = profile.candidateLengths;
+    if (!/^\d+$/.test(cleaned) || cleaned.length < min || cleaned.length > max) return null;
+    return cleaned;
+}
+
+function hasAllowedPrefix(value, profile) {
+    const prefixes = profile.prefixes || [];
+    return prefixes.length === 0 || prefixes.some(p => value.startsWith(p));
+}
+
+/**
+ * Digit counts of a profile for labels: { accepted: '8 digits',
+ * excluded: '9-10 digits' }. excluded is null when no exclusion rule
+ * names lengths.
+ */
+function getProfileLengthLabels(profile) {
+    const lengths = [...new Set((profile.exclusions || []).flatMap(rule => rule.lengths || []))].sort((a, b) => a - b);
+    const consecutive = lengths.every((n, i) => i === 0 || n === lengths[i - 1] + 1);
+    let excluded = null;
+    if (lengths.length === 1) excluded = `${lengths[0]} digits`;
+    else if (lengths.length > 1) excluded = consecutive
+        ? `${lengths[0]}-${lengths[lengths.length - 1]} digits`
+        : `${lengths.join(', ')} digits`;
+    return { accepted: `${profile.length} digits`, excluded };
+}
+
+function findExclusionRule(value, profile) {
+    return (profile.exclusions || []).find(rule =>
+        (!rule.lengths || rule.lengths.includes(value.length)) &&
+        (!rule.pattern || new RegExp(rule.pattern).test(value))
+    ) || null;
+}
+
+// =============================================================================
+// CHECK DIGITS
+// =============================================================================
+
+/**
+ * Check-digit algorithms, selected by a profile's checkDigit.algorithm.
+ * Each takes the full number (check digit last) and the profile's
+ * checkDigit options and returns true if the check digit is valid.
+ * New algorithms can be added with registerCheckDigitAlgorithm().
+ */
+const CHECK_DIGIT_ALGORITHMS = {
+    // Mod 10 (Luhn): double every second digit from the right
+    luhn: (value) => {
+        let sum = 0;
+        for (let i = 0; i < value.length; i++) {
+            let d = Number(value[value.length - 1 - i]);
+            if (i % 2 === 1) {
+                d *= 2;
+                if (d > 9) d -= 9;
+            }
+            sum += d;
+        }
+        return sum % 10 === 0;
+    },
+    
+    // Mod 11: weights (default 2..7) applied from the right of the payload,
+    // check = 11 - sum % 11 (11 → 0, 10 → no valid check digit)
+    mod11: (value, options = {}) => {
+        const weights = options.weights || [2, 3, 4, 5, 6, 7];
+        const payload = value.slice(0, -1);
+        let sum = 0;
+        for (let i = 0; i < payload.length; i++) {
+            sum += Number(payload[payload.length - 1 - i]) * weights[i % weights.length];
+        }
+        const check = (11 - (sum % 11)) % 11;
+        return check !== 10 && check === Number(value[value.length - 1]);
+    },
+    
+    // Custom weighted sum: weights applied left to right over the payload,
+    // check = (modulus - sum % modulus) % modulus, or sum % modulus
+    // when options.complement is false
+    weighted: (value, options = {}) => {
+        const weights = options.weights || [1];
+        const modulus = options.modulus || 10;
+        const payload = value.slice(0, -1);
+        let sum = 0;
+        for (let i = 0; i < payload.length; i++) {
+            sum += Number(payload[i]) * weights[i % weights.length];
+        }
+        const rest = sum % modulus;
+        const check = options.complement === false ? rest : (modulus - rest) % modulus;
+        return check < 10 && check === Number(value[value.length - 1]);
+    }
+};
+
+function registerCheckDigitAlgorithm(id, verify) {
+    CHECK_DIGIT_ALGORITHMS[id] = verify;
+}
+
+/**
+ * Returns null if the value passes the profile's check digit (or the profile
+ * has none), otherwise the reason it failed.
+ */
+function checkDigitFailure(value, profile) {
+    const config = profile.checkDigit;
+    if (!config) return null;
+    
+    const verify = CHECK_DIGIT_ALGORITHMS[config.algorithm];
+    if (!verify) return `unknown check digit algorithm '${config.algorithm}'`;
+    return verify(value, config) ? null : `check digit invalid (${config.algorithm})`;
+}
+
+// =============================================================================
+// PDF TEXT EXTRACTION
+// =============================================================================
+
+/**
+ * Positioned text items of one pdf.js page (text layer only, no OCR).
+ */
+async function extractPageItems(page, pageNum) {
+    const textContent = await page.getTextContent();
+    const pageItems = [];
+    
+    for (const item of textContent.items) {
+        const text = (item.str || '').trim();
+        if (text) {
+            // transform = [scaleX, skewY, skewX, scaleY, x, y] (PDF user space, origin bottom-left)
+            const transform = item.transform || [1, 0, 0, 1, 0, 0];
+            pageItems.push({
+                text: text,
+                pageNum: pageNum,
+                x: transform[4],
+                y: transform[5],
+                width: item.width || 0,
+                height: item.height || Math.abs(transform[3]) || 0,
+                source: 'text'
+            });
+        }
+    }
+    
+    return pageItems;
+}
+
+/**
+ * Text items of every page of an open pdf.js document, grouped into rows.
+ * hooks.beforePage() is awaited before each page (batch pause/cancel),
+ * hooks.ocrPage(page, pageNum) supplies items for pages without a text
+ * layer. Pages that stay empty are listed in emptyPages.
+ */
+async function extractTextItems(pdf, hooks = {}) {
+    const items = [];
+    const ocrPages = [];
+    const emptyPages = [];
+    const pageCount = pdf.numPages;
+    
+    for (let pageNum = 1; pageNum <= pageCount; pageNum++) {
+        if (hooks.beforePage) await hooks.beforePage(pageNum);
+        const page = await pdf.getPage(pageNum);
+        const pageItems = await extractPageItems(page, pageNum);
+        
+        // No text layer on this page - most likely a scan, try OCR
+        if (pageItems.length === 0 && hooks.ocrPage) {
+            const ocrItems = await hooks.ocrPage(page, pageNum);
+            if (ocrItems.length > 0) {
+                ocrPages.push(pageNum);
+                pageItems.push(...ocrItems);
+            }
+        }
+        
+        if (pageItems.length === 0) emptyPages.push(pageNum);
+        items.push(...pageItems);
+    }
+    
+    const rows = groupItemsIntoRows(items);
+    assignColumns(rows);
+    
+    return { items, rows, pageCount, ocrPages, emptyPages };
+}
+
+// =============================================================================
+// LAYOUT RECONSTRUCTION (ROWS & COLUMNS)
+// =============================================================================
+
+/**
+ * Groups positioned text items into visual rows (lines) per page.
+ * Items whose y differs by less than CONFIG.ROW_Y_TOLERANCE share a row.
+ * Rows are ordered top-to-bottom, items inside a row left-to-right.
+ * Each item gets `lineNum` (1-based line on its page) and `rowIndex`
+ * (index into the returned array).
+ */
+function groupItemsIntoRows(items, tolerance = CONFIG.ROW_Y_TOLERANCE) {
+    const rows = [];
+    const byPage = new Map();
+    
+    for (const item of items) {
+        if (!byPage.has(item.pageNum)) byPage.set(item.pageNum, []);
+        byPage.get(item.pageNum).push(item);
+    }
+    
+    const pageNums = [...byPage.keys()].sort((a, b) => a - b);
+    
+    for (const pageNum of pageNums) {
+        // PDF y grows upwards, so the top of the page has the highest y
+        const pageItems = byPage.get(pageNum).slice().sort((a, b) => (b.y || 0) - (a.y || 0));
+        const pageRows = [];
+        
+        for (const item of pageItems) {
+            const y = item.y || 0;
+            const row = pageRows.find(r => Math.abs(r.y - y) < tolerance);
+            if (row) {
+                row.items.push(item);
+            } else {
+                pageRows.push({ pageNum, y, items: [item] });
+            }
+        }
+        
+        pageRows.sort((a, b) => b.y - a.y);
+        
+        pageRows.forEach((row, i) => {
+            row.items.sort((a, b) => (a.x || 0) - (b.x || 0));
+            row.lineNum = i + 1;
+            row.rowIndex = rows.length;
+            row.text = row.items.map(it => it.text).join(' ');
+            for (const item of row.items) {
+                item.lineNum = row.lineNum;
+                item.rowIndex = row.rowIndex;
+            }
+            rows.push(row);
+        });
+    }
+    
+    return rows;
+}
+
+/**
+ * Clusters the left edges of items into column bands per page and tags
+ * each item with `colIndex`. Returns the detected columns:
+ * [{ pageNum, colIndex, xMin, xMax }]
+ */
+function assignColumns(rows, tolerance = CONFIG.COLUMN_X_TOLERANCE) {
+    const columns = [];
+    const pageNums = [...new Set(rows.map(r => r.pageNum))];
+    
+    for (const pageNum of pageNums) {
+        const pageItems = rows.filter(r => r.pageNum === pageNum).flatMap(r => r.items);
+        const sorted = pageItems.slice().sort((a, b) => (a.x || 0) - (b.x || 0));
+        const pageColumns = [];
+        
+        for (const item of sorted) {
+            const x = item.x || 0;
+            const right = x + (item.width || 0);
+            const last = pageColumns[pageColumns.length - 1];
+            if (last && x - last.xStart < tolerance) {
+                last.xMax = Math.max(last.xMax, right);
+                last.items.push(item);
+            } else {
+                pageColumns.push({ xStart: x, xMin: x, xMax: right, items: [item] });
+            }
+        }
+        
+        pageColumns.forEach((col, i) => {
+            for (const item of col.items) item.colIndex = i;
+            columns.push({ pageNum, colIndex: i, xMin: col.xMin, xMax: col.xMax });
+        });
+    }
+    
+    return columns;
+}
+
+// =============================================================================
+// COLUMN-HEADER ANCHORING
+// =============================================================================
+
+/**
+ * Builds a matcher for a header label. Allows trailing "No." / "Nr." / "#"
+ * and a colon, so "Lieferschein Nr.:" still matches 'Lieferschein'.
+ */
+function buildHeaderLabelRegex(label) {
+    const escaped = label.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s*');
+    return new RegExp(`^${escaped}(?:\\s*(?:no|nr|n°|#)\\.?)?\\s*:?$`, 'i');
+}
+
+/**
+ * Finds header labels in the reconstructed rows. A label may be split over
+ * up to 4 adjacent items ("Delivery" + "Note"). Returns anchors:
+ * [{ pageNum, y, xMin, xMax, label }]
+ */
+function findHeaderAnchors(rows, labels = CONFIG.HEADER_LABELS) {
+    const matchers = labels.filter(l => l && l.trim()).map(label => ({ label, rx: buildHeaderLabelRegex(label) }));
+    const anchors = [];
+    
+    for (const row of rows) {
+        for (let i = 0; i < row.items.length; i++) {
+            let text = '';
+            for (let j = i; j < Math.min(i + 4, row.items.length); j++) {
+                text = text ? `${text} ${row.items[j].text}` : row.items[j].text;
+                const match = matchers.find(m => m.rx.test(text));
+                if (match) {
+                    const last = row.items[j];
+                    anchors.push({
+                        pageNum: row.pageNum,
+                        y: row.y,
+                        xMin: row.items[i].x || 0,
+                        xMax: (last.x || 0) + (last.width || 0),
+                        label: match.label
+                    });
+                    break;
+                }
+            }
+        }
+    }
+    
+    return anchors;
+}
+
+/**
+ * Splits text items into those inside a delivery note column and those
+ * outside it. For each item the closest header above it on the same page
+ * decides; pages without a header inherit the last header of a previous page.
+ * If no header exists in the whole document, every item is kept.
+ * Returns { inColumn, rejected: [{ item, reason }], anchors }
+ */
+function filterItemsByHeaderColumn(items, rows, labels = CONFIG.HEADER_LABELS, margin = CONFIG.HEADER_X_MARGIN, logger = SILENT_LOGGER) {
+    const anchors = findHeaderAnchors(rows, labels);
+    
+    if (anchors.length === 0) {
+        logger.warn('⚠️ Header anchoring: no column header found, using whole document');
+        return { inColumn: items, rejected: [], anchors };
+    }
+    
+    const inColumn = [];
+    const rejected = [];
+    
+    for (const item of items) {
+        const y = item.y || 0;
+        const pageAnchors = anchors.filter(a => a.pageNum === item.pageNum);
+        let anchor = null;
+        
+        if (pageAnchors.length > 0) {
+            // Closest header above the item
+            anchor = pageAnchors
+                .filter(a => a.y > y + CONFIG.ROW_Y_TOLERANCE / 2)
+                .sort((a, b) => a.y - b.y)[0] || null;
+            
+            if (!anchor) {
+                const label = pageAnchors[0].label;
+                rejected.push({ item, reason: `Above '${label}' header (page ${item.pageNum})` });
+                continue;
+            }
+        } else {
+            // Continuation page - inherit the last header from earlier pages
+            const previous = anchors.filter(a => a.pageNum < item.pageNum);
+            anchor = previous[previous.length - 1] || null;
+            
+            if (!anchor) {
+                rejected.push({ item, reason: `No delivery note column header on page ${item.pageNum}` });
+                continue;
+            }
+        }
+        
+        const left = item.x || 0;
+        const right = left + (item.width || 0);
+        if (right < anchor.xMin - margin || left > anchor.xMax + margin) {
+            rejected.push({ item, reason: `Outside '${anchor.label}' column (page ${item.pageNum})` });
+            continue;
+        }
+        
+        inColumn.push(item);
+    }
+    
+    logger.log(`📌 Header anchoring: ${anchors.length} header(s), ${inColumn.length} items in column, ${rejected.length} outside`);
+    return { inColumn, rejected, anchors };
+}
+
+// =============================================================================
+// DELIVERY NOTE EXTRACTION (SIMPLE & ROBUST)
+// =============================================================================
+
+// =============================================================================
+// TOKEN-LEVEL CANDIDATE SCANNING
+// =============================================================================
+
+/**
+ * Normalize a token to digits, fixing common OCR misreads. Shared by the
+ * app's OCR fallback (normalizeOCRDigits) and the CR processor (CR.js).
+ */
+function normalizeToken(raw) {
+    if (!raw) return '';
+    let s = String(raw)
+        .replace(/\u00A0/g, ' ')
+        .replace(/[\s\-\.\,\_]+/g, '')  // Remove spaces, dashes, dots, commas
+        .toUpperCase();
+    
+    // OCR character corrections - order matters!
+    s = s.replace(/[OQo]/g, '0')      // 0: O, Q, o
+         .replace(/[IL|\]\[li]/g, '1') // 1: I, L, |, l, i
+         .replace(/[Zz]/g, '2')        // 2: Z, z
+         .replace(/[Ee]/g, '3')        // 3: E can look like 3
+         .replace(/[Aa]/g, '4')        // 4: A can look like 4
+         .replace(/[Ss\$]/g, '5')      // 5: S, s, $
+         .replace(/[b]/g, '6')         // 6: b (lowercase)
+         .replace(/[Tt]/g, '7')        // 7: T can look like 7
+         .replace(/[B]/g, '8')         // 8: B (uppercase)
+         .replace(/[Gg]/g, '9')        // 9: G, g (g is common OCR error for 9)
+         .replace(/[^\d]/g, '');
+    
+    return s;
+}
+
+/**
+ * Finds digit runs inside a text and returns the ones that may be delivery
+ * notes, as tokens ready for getCandidateValue(). A text made only of digits
+ * and spaces is one number ("2699 6798"). Inside longer strings each run is
+ * checked against its neighbours so the old exclusions still hold:
+ * - glued to a letter     → part number (146505902R)
+ * - next to [.,] + digit  → decimal (12345678.50)
+ * - inside dd/mm/yyyy     → date
+ * - after "+<digits>"     → phone number
+ */
+function findDigitRuns(text, profile = FORMAT_PROFILES.default) {
+    if (/^[\d\s]+$/.test(text)) {
+        return [{ token: text.replace(/\s+/g, ''), index: 0 }];
+    }
+    
+    const dateSpans = [];
+    const dateRx = /\d{1,4}[./-]\d{1,2}[./-]\d{1,4}/g;
+    let dm;
+    while ((dm = dateRx.exec(text)) !== null) {
+        dateSpans.push([dm.index, dm.index + dm[0].length]);
+    }
+    
+    const runs = [];
+    const runRx = /\d+/g;
+    let m;
+    while ((m = runRx.exec(text)) !== null) {
+        const run = m[0];
+        const end = m.index + run.length;
+        let start = m.index;
+        let token = run;
+        
+        if (dateSpans.some(([a, b]) => start >= a && end <= b)) continue;
+        
+        const next = text[end] || '';
+        if (/[.,]/.test(next) && /\d/.test(text[end + 1] || '')) continue;
+        if (/[.,]/.test(text[start - 1] || '') && /\d/.test(text[start - 2] || '')) continue;
+        
+        // Text prefix of the profile ("LS26996798", "LS 26996798")
+        const before = text.slice(0, start).replace(/\s+$/, '');
+        const prefix = (profile.textPrefixes || []).find(p => before.toUpperCase().endsWith(p.toUpperCase()));
+        if (prefix) {
+            start = before.length - prefix.length;
+            token = prefix + run;
+        }
+        
+        const prev = text[start - 1] || '';
+        if (/[A-Za-z]/.test(prev) || /[A-Za-z]/.test(next)) continue;
+        if (/\+\s*\d[\d\s\-\/()]*$/.test(text.slice(0, start)) || prev === '+') continue;
+        
+        runs.push({ token, index: start });
+    }
+    
+    return runs;
+}
+
+/**
+ * Joins items that pdf.js split in the middle of a number. Returns segments
+ * [{ text, items }] in original item order; an item that was merged into its
+ * left neighbour does not start a segment of its own.
+ */
+function mergeSplitItems(textItems, profile = FORMAT_PROFILES.default) {
+    const minLength = profile.candidateLengths.min;
+    const rightNeighbour = new Map();
+    const byRow = new Map();
+    
+    for (const item of textItems) {
+        if (item.rowIndex === undefined) continue;
+        const key = `${item.pageNum}:${item.rowIndex}`;
+        if (!byRow.has(key)) byRow.set(key, []);
+        byRow.get(key).push(item);
+    }
+    for (const rowItems of byRow.values()) {
+        rowItems.sort((a, b) => (a.x || 0) - (b.x || 0));
+        for (let i = 0; i < rowItems.length - 1; i++) {
+            rightNeighbour.set(rowItems[i], rowItems[i + 1]);
+        }
+    }
+    
+    const canJoin = (leftText, left, right) => {
+        const tail = (leftText.match(/\d+$/) || [''])[0];
+        const head = (right.text.match(/^\d+/) || [''])[0];
+        if (!tail || !head) return false;
+        // Never glue two numbers that are already complete on their own
+        if (tail.length >= minLength && head.length >= minLength) return false;
+        const gap = (right.x || 0) - ((left.x || 0) + (left.width || 0));
+        const maxGap = Math.max(1, (left.height || 10) * CONFIG.SPLIT_ITEM_GAP_RATIO);
+        return gap >= -maxGap && gap <= maxGap;
+    };
+    
+    const consumed = new Set();
+    const segments = [];
+    
+    for (const item of textItems) {
+        if (consumed.has(item)) continue;
+        const items = [item];
+        let text = item.text;
+        let current = item;
+        let right = rightNeighbour.get(current);
+        
+        while (right && !consumed.has(right) && canJoin(text, current, right)) {
+            consumed.add(right);
+            items.push(right);
+            text += right.text;
+            current = right;
+            right = rightNeighbour.get(current);
+        }
+        
+        segments.push({ text, items });
+    }
+    
+    return segments;
+}
+
+/**
+ * Scans text items for delivery note candidates: joins split items, finds
+ * digit runs inside longer strings and applies the profile's candidate rules.
+ * Returns [{ value, token, items }] - one entry per occurrence.
+ */
+function scanCandidateTokens(textItems, profile = FORMAT_PROFILES.default) {
+    const tokens = [];
+    
+    for (const segment of mergeSplitItems(textItems, profile)) {
+        for (const run of findDigitRuns(segment.text, profile)) {
+            const value = getCandidateValue(run.token, profile);
+            if (value) {
+                tokens.push({ value, token: run.token, items: segment.items });
+            }
+        }
+    }
+    
+    return tokens;
+}
+
+// =============================================================================
+// PROVENANCE (WHERE EACH VALUE WAS FOUND)
+// =============================================================================
+
+/**
+ * Cuts a window of text around the token so the modal can show
+ * "…Lieferschein 26996798 vom 21/02/2025…" instead of the whole row.
+ */
+function clipContext(text, token, radius = 40) {
+    const idx = text.indexOf(token);
+    if (idx === -1) return text.length > radius * 2 ? text.slice(0, radius * 2) + '…' : text;
+    const start = Math.max(0, idx - radius);
+    const end = Math.min(text.length, idx + token.length + radius);
+    return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+}
+
+/**
+ * Describes one place a candidate token was found: page, line, position
+ * (PDF units, origin bottom-left) and the surrounding row text.
+ */
+function buildOccurrence(token, rows = null) {
+    const first = token.items[0];
+    const last = token.items[token.items.length - 1];
+    const row = rows && first.rowIndex !== undefined ? rows[first.rowIndex] : null;
+    const rowText = row ? row.text : token.items.map(i => i.text).join('');
+    const round = (n) => Math.round((n || 0) * 10) / 10;
+    
+    return {
+        pageNum: first.pageNum,
+        lineNum: first.lineNum ?? null,
+        x: round(first.x),
+        y: round(first.y),
+        width: round((last.x || 0) + (last.width || 0) - (first.x || 0)),
+        height: round(Math.max(...token.items.map(i => i.height || 0))),
+        context: clipContext(rowText, token.items.length > 1 ? token.items[0].text : token.token.replace(/^\D+/, '')),
+        source: first.source || 'text'
+    };
+}
+
+function formatOccurrence(occ) {
+    const where = occ.lineNum ? `page ${occ.pageNum}, line ${occ.lineNum}` : `page ${occ.pageNum}`;
+    const file = occ.file ? `${occ.file} - ` : '';
+    const ocr = occ.source === 'ocr' ? ' [OCR]' : '';
+    return `${file}${where}${ocr}: ${occ.context}`;
+}
+
+/**
+ * Copies occurrences onto the result entries after validation:
+ * excluded/invalid/duplicate entries by value, auto-corrections by their
+ * original value, and a `provenance` map (value → occurrences) that also
+ * covers the plain-string accepted list and corrected values.
+ */
+function attachProvenance(results, occurrences) {
+    const provenance = {};
+    for (const [value, list] of Object.entries(occurrences)) {
+        provenance[value] = list.slice();
+    }
+    
+    for (const correction of results.autoCorrections) {
+        correction.occurrences = occurrences[correction.original] || [];
+        provenance[correction.corrected] = (provenance[correction.corrected] || []).concat(correction.occurrences);
+    }
+    for (const entry of [...results.excluded, ...results.invalid]) {
+        entry.occurrences = occurrences[entry.value] || [];
+    }
+    for (const dup of results.duplicates) {
+        dup.occurrences = (occurrences[dup.value] || []).concat(dup.original ? (occurrences[dup.original] || []) : []);
+        if (dup.original) {
+            provenance[dup.value] = (provenance[dup.value] || []).concat(occurrences[dup.original] || []);
+        }
+    }
+    
+    results.provenance = provenance;
+    return results;
+}
+
+/**
+ * Extracts all potential delivery notes from PDF text
+ * Simple approach: find all digit runs in the profile's candidate range
+ * (7-12 digits for the default profile, to capture leading zeros)
+ * NOW TRACKS DUPLICATES properly!
+ * Pass the reconstructed rows to get the row text as occurrence context.
+ */
+function extractPotentialDeliveryNotes(textItems, profile = FORMAT_PROFILES.default, rows = null, logger = SILENT_LOGGER) {
+    const allCandidates = [];     // ALL occurrences (including duplicates)
+    const occurrenceCount = {};   // Track how many times each value appears
+    const occurrences = {};       // Where each value was found
+    
+    for (const token of scanCandidateTokens(textItems, profile)) {
+        const cleaned = token.value;
+        
+        if (cleaned) {
+            // Track all occurrences
+            allCandidates.push(cleaned);
+            occurrenceCount[cleaned] = (occurrenceCount[cleaned] || 0) + 1;
+            (occurrences[cleaned] = occurrences[cleaned] || []).push(buildOccurrence(token, rows));
+            
+            logger.log(`  📋 Found candidate: ${cleaned} (${cleaned.length} digits) - occurrence #${occurrenceCount[cleaned]}`);
+        }
+    }
+    
+    // Calculate duplicates
+    const uniqueCandidates = [...new Set(allCandidates)];
+    const duplicates = [];
+    
+    for (const value of uniqueCandidates) {
+        const count = occurrenceCount[value];
+        if (count > 1) {
+            duplicates.push({
+                value: value,
+                count: count,
+                reason: `Found ${count} times in document`
+            });
+            logger.log(`  🔁 Duplicate detected: ${value} appears ${count} times`);
+        }
+    }
+    
+    logger.log(`\n📊 Found ${allCandidates.length} total candidates, ${uniqueCandidates.length} unique, ${duplicates.length} with duplicates`);
+    
+    return {
+        unique: uniqueCandidates,
+        duplicates: duplicates,
+        totalCount: allCandidates.length,
+        occurrenceCount: occurrenceCount,
+        occurrences: occurrences
+    };
+}
+
+// =============================================================================
+// PREFIX MODEL (SHORT NUMBER CORRECTION)
+// =============================================================================
+
+/**
+ * Statistics of the accepted notes used to guess the missing leading digit
+ * of a short number: 1-3 digit prefix frequencies and numeric range
+ * clusters (delivery notes of one customer come in consecutive ranges).
+ */
+function buildPrefixModel(referenceNotes, length) {
+    const values = [...new Set(referenceNotes)].filter(v => v.length === length);
+    const prefixCounts = [null, {}, {}, {}];
+    for (const v of values) {
+        for (let k = 1; k <= 3; k++) {
+            const p = v.slice(0, k);
+            prefixCounts[k][p] = (prefixCounts[k][p] || 0) + 1;
+        }
+    }
+    
+    // Notes closer than `scale` (1% of the number space) form one cluster
+    const scale = Math.pow(10, Math.max(0, length - 2));
+    const clusters = [];
+    for (const n of values.map(Number).sort((a, b) => a - b)) {
+        const last = clusters[clusters.length - 1];
+        if (last && n - last.max <= scale) {
+            last.max = n;
+            last.count++;
+        } else {
+            clusters.push({ min: n, max: n, count: 1 });
+        }
+    }
+    
+    return { length, count: values.length, prefixCounts, clusters, scale };
+}
+
+/**
+ * Scores every possible leading digit for a short number. Returns candidates
+ * sorted by confidence: [{ value, digit, confidence, share, prefixScore, rangeScore }]
+ * Confidence (0-1) is the candidate's share of the total score - its margin
+ * over the other digits - scaled down when the model has few notes.
+ */
+function scoreCorrectionCandidates(model, short) {
+    const weights = CONFIG.PREFIX_MODEL_WEIGHTS;
+    const candidates = [];
+    
+    for (let d = 0; d <= 9; d++) {
+        const value = String(d) + short;
+        
+        // Interpolated 1-3 digit prefix frequency
+        let prefixScore = 0;
+        for (let k = 1; k <= 3; k++) {
+            prefixScore += weights.prefix[k - 1] * ((model.prefixCounts[k][value.slice(0, k)] || 0) / model.count);
+        }
+        
+        // Share of the best-fitting range cluster, decaying outside its bounds
+        const n = Number(value);
+        let rangeScore = 0;
+        for (const cluster of model.clusters) {
+            const distance = n < cluster.min ? cluster.min - n : (n > cluster.max ? n - cluster.max : 0);
+            rangeScore = Math.max(rangeScore, (cluster.count / model.count) * Math.exp(-distance / model.scale));
+        }
+        
+        const score = weights.combine[0] * prefixScore + weights.combine[1] * rangeScore + 1e-6;
+        candidates.push({ value, digit: String(d), score, prefixScore, rangeScore });
+    }
+    
+    const total = candidates.reduce((sum, c) => sum + c.score, 0);
+    const evidence = model.count / (model.count + CONFIG.PREFIX_MODEL_EVIDENCE_NOTES);
+    for (const c of candidates) {
+        c.share = c.score / total;
+        c.confidence = c.share * evidence;
+    }
+    return candidates.sort((a, b) => b.confidence - a.confidence);
+}
+
+function formatConfidence(confidence) {
+    return `${Math.round(confidence * 100)}%`;
+}
+
+// =============================================================================
+// AUDIT TRAIL (WHY EACH VALUE WAS CLASSIFIED)
+// =============================================================================
+
+/**
+ * Appends one decision to results.audit[value]. Rule IDs:
+ *   digits-only, length, allowed-prefix, check-digit, leading-zero-strip,
+ *   exclusion, prefix-model, starts-with-digit,
+ *   accept, duplicate, header-column, transport-id, review
+ * `inputs` holds the numbers the rule used, `outcome` a short keyword and
+ * `text` the sentence shown in the Explain panel.
+ */
+function recordAuditStep(results, value, rule, inputs, outcome, text) {
+    const audit = results.audit || (results.audit = {});
+    (audit[value] = audit[value] || []).push({ rule, inputs, outcome, text });
+}
+
+/**
+ * Decision chain of a value. Corrected values also carry the chain of the
+ * number they were corrected from.
+ */
+function getAuditTrail(results, value) {
+    return ((results && results.audit) || {})[value] || [];
+}
+
+// =============================================================================
+// VALIDATION LOGIC
+// =============================================================================
+
+/**
+ * context.referenceNotes: accepted notes from other files of the batch that
+ * feed the short-number correction model alongside this file's own notes.
+ * context.logger: where the validation log goes (default: silent).
+ */
+function validateDeliveryNotes(extractionResult, profile = FORMAT_PROFILES.default, context = {}) {
+    // extractionResult has: { unique, duplicates, totalCount, occurrenceCount, occurrences }
+    const logger = context.logger || SILENT_LOGGER;
+    const rawNotes = extractionResult.unique;
+    const extractedDuplicates = extractionResult.duplicates;
+    const occurrenceCount = extractionResult.occurrenceCount;
+    const targetLength = profile.length;
+    const corrections = profile.corrections || {};
+    
+    logger.log(`\n🔍 Validating ${rawNotes.length} unique candidates (profile: ${profile.name})...`);
+    
+    const results = {
+        accepted: [],           // Valid delivery notes (profile length)
+        excluded: [],           // Excluded by profile rules (e.g. 9-10 digits)
+        invalid: [],            // Other issues
+        autoCorrections: [],    // Short or leading-zero auto-corrected
+        duplicates: [],         // All duplicates info
+        uniqueCount: 0,
+        duplicateCount: 0,
+        totalOccurrences: extractionResult.totalCount,
+        profileId: profile.id,
+        audit: {}               // value → [{ rule, inputs, outcome, text }]
+    };
+    const step = (value, rule, inputs, outcome, text) => recordAuditStep(results, value, rule, inputs, outcome, text);
+    
+    const seen = new Set();
+    const tempAccepted = [];
+    const pending7Digit = [];
+    
+    // Accept a corrected value, or record it as a duplicate if already seen
+    const acceptCorrection = (original, corrected, reason) => {
+        if (!seen.has(corrected)) {
+            seen.add(corrected);
+            results.autoCorrections.push({
+                original: original,
+                corrected: corrected,
+                confidence: 1,
+                reason: reason
+            });
+            results.accepted.push(corrected);
+            step(original, 'accept', { corrected }, 'accepted', `→ accepted as ${corrected}`);
+            logger.log(`  ✅ Auto-corrected (leading zeros): ${original} → ${corrected}`);
+        } else {
+            // Already exists as duplicate
+            const existingCount = occurrenceCount[corrected] || 1;
+            results.duplicates.push({
+                value: corrected,
+                original: original,
+                count: existingCount + 1,
+                reason: `Corrected from ${original}, already exists`
+            });
+            results.duplicateCount++;
+            step(original, 'duplicate', { corrected }, 'duplicate', `${corrected} was already accepted → counted as duplicate`);
+            logger.log(`  🔁 Corrected ${original} → ${corrected} is duplicate`);
+        }
+    };
+    
+    for (const note of rawNotes) {
+        const cleaned = note.replace(/\s+/g, '');
+        
+        if (!cleaned) continue;
+        
+        // Verify it's pure digits
+        if (!/^\d+$/.test(cleaned)) {
+            results.invalid.push({ value: cleaned, reason: 'Contains non-digit characters' });
+            step(cleaned, 'digits-only', {}, 'invalid', 'contains non-digit characters → invalid');
+            continue;
+        }
+        
+        // Classify by digit count
+        const len = cleaned.length;
+        const exclusion = findExclusionRule(cleaned, profile);
+        
+        if (len === targetLength) {
+            step(cleaned, 'length', { length: len, expected: targetLength }, 'match', `${len} digits = profile length ${targetLength}`);
+            // Leading zeros are kept as-is since the total length is right
+            if (!hasAllowedPrefix(cleaned, profile)) {
+                results.invalid.push({
+                    value: cleaned,
+                    reason: `${len} digits - does not start with allowed prefix (${profile.prefixes.join(', ')})`
+                });
+                step(cleaned, 'allowed-prefix', { prefixes: profile.prefixes }, 'invalid',
+                    `does not start with an allowed prefix (${profile.prefixes.join(', ')}) → invalid`);
+                logger.log(`  ❌ Invalid: ${cleaned} (prefix not allowed)`);
+                continue;
+            }
+            const checkFailure = checkDigitFailure(cleaned, profile);
+            if (checkFailure) {
+                results.invalid.push({ value: cleaned, reason: `${len} digits - ${checkFailure}` });
+                step(cleaned, 'check-digit', { algorithm: profile.checkDigit.algorithm }, 'invalid', `${checkFailure} → invalid`);
+                logger.log(`  ❌ Invalid: ${cleaned} (${checkFailure})`);
+                continue;
+            }
+            if (profile.checkDigit) {
+                step(cleaned, 'check-digit', { algorithm: profile.checkDigit.algorithm }, 'valid', `check digit valid (${profile.checkDigit.algorithm})`);
+            }
+            step(cleaned, 'accept', {}, 'accepted', '→ accepted');
+            seen.add(cleaned);
+            tempAccepted.push(cleaned);
+            logger.log(`  ✅ Accepted: ${cleaned}`);
+        } else if (len > targetLength && cleaned.startsWith('0') && corrections.stripLeadingZeros) {
+            // Starting with 0: try stripping leading zeros to get the profile length
+            const stripped = cleaned.replace(/^0+/, '');
+            const checkFailure = stripped.length === targetLength ? checkDigitFailure(stripped, profile) : null;
+            const stripInputs = { length: len, stripped, strippedLength: stripped.length, expected: targetLength };
+            if (stripped.length === targetLength && hasAllowedPrefix(stripped, profile) && !checkFailure) {
+                const removed = len - targetLength;
+                step(cleaned, 'leading-zero-strip', stripInputs, 'corrected',
+                    `${len} digits starting with 0 → ${stripped} (${targetLength} digits) → leading zeros removed`);
+                acceptCorrection(cleaned, stripped, removed === 1 ? 'Removed leading zero' : `Removed ${removed} leading zero(s)`);
+            } else if (checkFailure) {
+                results.invalid.push({ value: cleaned, reason: `${len} digits - without leading zeros ${stripped}: ${checkFailure}` });
+                step(cleaned, 'leading-zero-strip', stripInputs, 'stripped', `${len} digits starting with 0 → ${stripped}`);
+                step(cleaned, 'check-digit', { value: stripped, algorithm: profile.checkDigit.algorithm }, 'invalid', `${stripped}: ${checkFailure} → invalid`);
+                logger.log(`  ❌ Invalid: ${cleaned} (${checkFailure})`);
+            } else {
+                step(cleaned, 'leading-zero-strip', stripInputs, 'no-fit', stripped.length === targetLength
+                    ? `${len} digits starting with 0 → ${stripped} does not start with an allowed prefix → not corrected`
+                    : `${len} digits starting with 0 → ${stripped} has ${stripped.length} digits, not ${targetLength} → not corrected`);
+                if (exclusion) {
+                    // Can't auto-correct - excluded by profile rule
+                    results.excluded.push({ value: cleaned, reason: `${len} digits (excluded - ${exclusion.reason})` });
+                    step(cleaned, 'exclusion', { length: len, rule: exclusion.reason }, 'excluded', `${len} digits match exclusion "${exclusion.reason}" → excluded`);
+                    logger.log(`  ⏭️ Excluded: ${cleaned} (${len} digits)`);
+                } else {
+                    results.invalid.push({ 
+                        value: cleaned, 
+                        reason: `${len} digits (expected ${targetLength})` 
+                    });
+                    step(cleaned, 'length', { length: len, expected: targetLength }, 'invalid', `${len} digits, profile expects ${targetLength} → invalid`);
+                    logger.log(`  ❌ Invalid: ${cleaned} (${len} digits)`);
+                }
+            }
+        } else if (exclusion) {
+            // e.g. 9-10 digits not starting with 0 - exclude
+            results.excluded.push({ value: cleaned, reason: `${len} digits (excluded - ${exclusion.reason})` });
+            step(cleaned, 'exclusion', { length: len, rule: exclusion.reason }, 'excluded', `${len} digits match exclusion "${exclusion.reason}" → excluded`);
+            logger.log(`  ⏭️ Excluded: ${cleaned} (${len} digits)`);
+        } else if (len === targetLength - 1 && corrections.addLeadingDigit) {
+            // May need auto-correction (add leading digit)
+            pending7Digit.push(cleaned);
+            step(cleaned, 'length', { length: len, expected: targetLength }, 'short', `${len} digits = profile length - 1 → leading digit correction`);
+            logger.log(`  🔧 Pending ${len}-digit: ${cleaned}`);
+        } else {
+            // Invalid length
+            results.invalid.push({ 
+                value: cleaned, 
+                reason: `${len} digits (expected ${targetLength})` 
+            });
+            step(cleaned, 'length', { length: len, expected: targetLength }, 'invalid', `${len} digits, profile expects ${targetLength} → invalid`);
+            logger.log(`  ❌ Invalid: ${cleaned} (${len} digits)`);
+        }
+    }
+    
+    // Process 7-digit numbers
+    if (pending7Digit.length > 0) {
+        logger.log(`\n🔧 Processing ${pending7Digit.length} 7-digit numbers...`);
+        
+        // Reference notes: accepted and auto-corrected notes of this file,
+        // plus the batch's notes when the batch-wide model is enabled
+        const referenceNotes = [
+            ...tempAccepted,
+            ...results.autoCorrections.map(c => c.corrected),
+            ...(context.referenceNotes || []).filter(n => n.length === targetLength)
+        ];
+        
+        // Prefix model: picks the leading digit and how sure it is
+        const model = buildPrefixModel(referenceNotes, targetLength);
+        const minConfidence = corrections.minConfidence ?? CONFIG.PREFIX_MODEL_MIN_CONFIDENCE;
+        logger.log(`  Prefix model: ${model.count} reference notes in ${model.clusters.length} range(s)`);
+        
+        for (const pending of pending7Digit) {
+            if (model.count === 0) {
+                // Nothing to learn the leading digit from - needs review
+                results.invalid.push({ 
+                    value: pending, 
+                    reason: `${pending.length} digits - needs manual review` 
+                });
+                step(pending, 'prefix-model', { count: 0 }, 'none', 'no accepted notes to learn the leading digit from → needs manual review');
+                logger.log(`  ⚠️ Cannot auto-correct: ${pending} (no reference notes)`);
+                continue;
+            }
+            
+            const candidates = scoreCorrectionCandidates(model, pending);
+            const alternatives = candidates.slice(0, CONFIG.PREFIX_MODEL_ALTERNATIVES)
+                .map(c => ({ value: c.value, confidence: c.confidence }));
+            const describeModel = (chosen) => {
+                const others = alternatives.filter(a => a.value !== chosen.value)
+                    .map(a => `${a.value} ${formatConfidence(a.confidence)}`).join(', ');
+                return {
+                    inputs: { best: chosen.value, confidence: chosen.confidence, minConfidence, count: model.count, alternatives },
+                    text: `prefix model (${model.count} notes): ${chosen.value} confidence ${formatConfidence(chosen.confidence)} ` +
+                        `${chosen.confidence < minConfidence ? '<' : '≥'} ${formatConfidence(minConfidence)}${others ? ` (others: ${others})` : ''}`
+                };
+            };
+            
+            // =====================================================================
+            // NEW CHECK (v7.2): If the 7-digit number ALREADY starts with the
+            // digit we would prepend, the LAST digit is missing (not the first).
+            // In this case we CANNOT auto-correct → mark as INVALID.
+            // Example: best digit = '2', pending = '2715703'
+            //   → '2715703' already starts with '2', so prepending '2' would be wrong
+            //   → the missing digit is at the END, not the beginning
+            // =====================================================================
+            if (pending[0] === candidates[0].digit) {
+                const digit = candidates[0].digit;
+                results.invalid.push({
+                    value: pending,
+                    reason: `${pending.length} digits - already starts with '${digit}' (missing last digit, not first)`
+                });
+                const described = describeModel(candidates[0]);
+                step(pending, 'prefix-model', described.inputs, 'found', described.text);
+                step(pending, 'starts-with-digit', { digit }, 'invalid',
+                    `already starts with ${digit} → missing last digit, not first → invalid`);
+                logger.log(`  ❌ Cannot auto-correct: ${pending} (already starts with '${digit}' - missing last digit)`);
+                continue;
+            }
+            
+            // Only a candidate with a valid check digit can be the correction:
+            // try them in confidence order. A rejected candidate is ruled out,
+            // so the next one's confidence is taken over the remaining share.
+            let best = candidates[0];
+            const checkRejected = [];
+            if (profile.checkDigit) {
+                best = null;
+                let rejectedShare = 0;
+                for (const candidate of candidates.slice(0, CONFIG.PREFIX_MODEL_ALTERNATIVES)) {
+                    const checkFailure = checkDigitFailure(candidate.value, profile);
+                    if (!checkFailure) {
+                        best = { ...candidate, confidence: candidate.confidence / (1 - rejectedShare) };
+                        break;
+                    }
+                    checkRejected.push(candidate.value);
+                    rejectedShare += candidate.share;
+                    step(pending, 'check-digit', { value: candidate.value, algorithm: profile.checkDigit.algorithm }, 'invalid',
+                        `${candidate.value}: ${checkFailure} → ruled out`);
+                }
+            }
+            const rejectedText = checkRejected.length > 0 ? `, check digit rejected ${checkRejected.join(', ')}` : '';
+            
+            if (!best) {
+                results.invalid.push({
+                    value: pending,
+                    reason: `${pending.length} digits - none of the likely corrections passes the check digit (rejected ${checkRejected.join(', ')})`,
+                    alternatives
+                });
+                logger.log(`  ❌ Cannot auto-correct: ${pending} (no candidate passes the check digit)`);
+                continue;
+            }
+            
+            const corrected = best.value;
+            const { inputs: modelInputs, text: modelText } = describeModel(best);
+            
+            if (best.confidence < minConfidence) {
+                results.invalid.push({
+                    value: pending,
+                    reason: `${pending.length} digits - needs manual review (best guess ${corrected}, confidence ${formatConfidence(best.confidence)}${rejectedText})`,
+                    alternatives
+                });
+                step(pending, 'prefix-model', modelInputs, 'review', `${modelText} → needs manual review`);
+                logger.log(`  ⚠️ Low confidence: ${pending} → ${corrected} (${formatConfidence(best.confidence)})`);
+                continue;
+            }
+            
+            step(pending, 'prefix-model', modelInputs, 'corrected', `${modelText} → ${corrected}`);
+            
+            if (!hasAllowedPrefix(corrected, profile)) {
+                results.invalid.push({
+                    value: pending,
+                    reason: `${pending.length} digits - correction ${corrected} does not start with allowed prefix`
+                });
+                step(pending, 'allowed-prefix', { value: corrected, prefixes: profile.prefixes }, 'invalid',
+                    `${corrected} does not start with an allowed prefix (${profile.prefixes.join(', ')}) → invalid`);
+                continue;
+            }
+            
+            if (!seen.has(corrected)) {
+                seen.add(corrected);
+                results.autoCorrections.push({
+                    original: pending,
+                    corrected: corrected,
+                    confidence: best.confidence,
+                    reason: `Added leading '${best.digit}' (confidence ${formatConfidence(best.confidence)}${rejectedText})`,
+                    alternatives
+                });
+                results.accepted.push(corrected);
+                if (profile.checkDigit) {
+                    step(pending, 'check-digit', { value: corrected, algorithm: profile.checkDigit.algorithm }, 'valid',
+                        `${corrected}: check digit valid (${profile.checkDigit.algorithm})`);
+                }
+                step(pending, 'accept', { corrected }, 'accepted', `→ accepted as ${corrected}`);
+                logger.log(`  ✅ Auto-corrected: ${pending} → ${corrected} (${formatConfidence(best.confidence)})`);
+            } else {
+                // The corrected value already exists
+                const existingCount = occurrenceCount[corrected] || 1;
+                results.duplicates.push({ 
+                    value: corrected, 
+                    original: pending,
+                    count: existingCount + 1,
+                    reason: `Corrected from ${pending}, already exists (now ${existingCount + 1} times)` 
+                });
+                results.duplicateCount++;
+                step(pending, 'duplicate', { corrected }, 'duplicate', `${corrected} was already accepted → counted as duplicate`);
+                logger.log(`  🔁 Corrected ${pending} → ${corrected} is duplicate`);
+            }
+        }
+    }
+    
+    // Add all accepted notes
+    results.accepted.push(...tempAccepted);
+    
+    // Add the duplicates found during extraction (from extractPotentialDeliveryNotes)
+    // But only for numbers of the profile length that were accepted
+    for (const dup of extractedDuplicates) {
+        if (dup.value.length === targetLength && seen.has(dup.value)) {
+            // Check if this duplicate is not already in the list
+            const alreadyAdded = results.duplicates.some(d => d.value === dup.value);
+            if (!alreadyAdded) {
+                results.duplicates.push(dup);
+                results.duplicateCount += (dup.count - 1); // count - 1 because one is the original
+                step(dup.value, 'duplicate', { count: dup.count }, 'duplicate',
+                    `found ${dup.count} times in the document → ${dup.count - 1} extra occurrence(s) counted as duplicates`);
+            }
+        }
+    }
+    
+    // Corrected values explain themselves through the number they came from
+    for (const c of results.autoCorrections) {
+        results.audit[c.corrected] = [...(results.audit[c.corrected] || []), ...(results.audit[c.original] || [])];
+    }
+    
+    // Final stats
+    results.uniqueCount = new Set(results.accepted).size;
+    attachProvenance(results, extractionResult.occurrences || {});
+    
+    logger.log(`\n📊 VALIDATION RESULTS:`);
+    logger.log(`  ✅ Accepted: ${results.accepted.length}`);
+    logger.log(`  ⏭️ Excluded: ${results.excluded.length}`);
+    logger.log(`  ❌ Invalid: ${results.invalid.length}`);
+    logger.log(`  🔧 Auto-corrected: ${results.autoCorrections.length}`);
+    logger.log(`  🔁 Duplicates: ${results.duplicates.length} items (${results.duplicateCount} extra occurrences)`);
+    
+    return results;
+}
+
+// =============================================================================
+// TRANSPORT IDS
+// =============================================================================
+
+/**
+ * Finds Transport IDs with their own format (independent of the delivery
+ * note profile), moves them out of excluded/invalid and pairs them with the
+ * accepted delivery notes: same row first, otherwise the Transport ID on the
+ * same page - only when the page has exactly one, so a note is never guessed
+ * onto one of several IDs.
+ * Accepted values and the originals of corrected or duplicate notes are
+ * never Transport IDs.
+ * Sets results.transportIds = [{ value, occurrences, deliveryNotes }] and
+ * results.transportPairs = [{ deliveryNote, transportId, match, pageNum }].
+ */
+function extractTransportIds(results, items, rows, format = TRANSPORT_ID_FORMATS.default) {
+    const scanProfile = {
+        candidateLengths: { min: Math.min(...format.lengths), max: Math.max(...format.lengths) },
+        prefixes: format.prefixes || [],
+        textPrefixes: format.textPrefixes || [],
+        requireTextPrefix: !!format.requireTextPrefix
+    };
+    const accepted = new Set(results.accepted);
+    // e.g. 0080652245 → 80652245: the original is still in the text
+    const notes = new Set([
+        ...accepted,
+        ...(results.autoCorrections || []).map(c => c.original),
+        ...(results.duplicates || []).map(d => d.original).filter(Boolean)
+    ]);
+    
+    const byValue = new Map();
+    for (const token of scanCandidateTokens(items, scanProfile)) {
+        const value = token.value;
+        if (!format.lengths.includes(value.length) || !hasAllowedPrefix(value, scanProfile) || notes.has(value)) continue;
+        if (!byValue.has(value)) byValue.set(value, { value, occurrences: [], deliveryNotes: [] });
+        byValue.get(value).occurrences.push(buildOccurrence(token, rows));
+    }
+    
+    // A Transport ID is no longer an excluded or invalid delivery note
+    results.excluded = results.excluded.filter(e => !byValue.has(e.value));
+    results.invalid = results.invalid.filter(e => !byValue.has(e.value));
+    for (const value of byValue.keys()) {
+        recordAuditStep(results, value, 'transport-id', { length: value.length, format: format.id }, 'transport-id',
+            `${value.length} digits match Transport ID format "${format.name}" → Transport ID`);
+    }
+    
+    const tidOccurrences = [];
+    for (const tid of byValue.values()) {
+        for (const occ of tid.occurrences) tidOccurrences.push({ tid, occ });
+    }
+    
+    const pairs = [];
+    const paired = new Set();
+    for (const note of [...accepted]) {
+        for (const noteOcc of (results.provenance || {})[note] || []) {
+            const samePage = tidOccurrences.filter(t => t.occ.pageNum === noteOcc.pageNum);
+            if (samePage.length === 0) continue;
+            
+            const sameRow = samePage.filter(t => noteOcc.lineNum != null && t.occ.lineNum === noteOcc.lineNum);
+            if (sameRow.length === 0 && new Set(samePage.map(t => t.tid.value)).size > 1) continue;
+            const candidates = sameRow.length > 0 ? sameRow : samePage;
+            const nearest = candidates.reduce((best, t) =>
+                Math.abs(t.occ.y - noteOcc.y) < Math.abs(best.occ.y - noteOcc.y) ? t : best
+            );
+            
+            const key = `${note}|${nearest.tid.value}`;
+            if (paired.has(key)) continue;
+            paired.add(key);
+            nearest.tid.deliveryNotes.push(note);
+            pairs.push({
+                deliveryNote: note,
+                transportId: nearest.tid.value,
+                match: sameRow.length > 0 ? 'row' : 'page',
+                pageNum: noteOcc.pageNum
+            });
+        }
+    }
+    
+    results.transportIds = [...byValue.values()];
+    results.transportPairs = pairs;
+    results.transportFormatId = format.id;
+    return results;
+}
+
+/**
+ * Distinct page numbers of a list of occurrences, e.g. "1, 3, 4".
+ */
+function formatPages(occurrences) {
+    const pages = [...new Set((occurrences || []).map(o => o.pageNum))].sort((a, b) => a - b);
+    return pages.join(', ');
+}
+
+/**
+ * Rows of the DN ↔ Transport ID mapping sheet. Transport IDs without a
+ * delivery note are listed with an empty delivery note.
+ */
+function buildTransportMappingRows(results, fileName = null) {
+    const header = ['Delivery Note', 'Transport ID', 'Match', 'Page'];
+    const rows = [fileName === null ? header : ['File', ...header]];
+    const withFile = (row) => fileName === null ? row : [fileName, ...row];
+    
+    for (const p of results.transportPairs || []) {
+        rows.push(withFile([p.deliveryNote, p.transportId, p.match === 'row' ? 'Same row' : 'Same page', p.pageNum]));
+    }
+    for (const tid of results.transportIds || []) {
+        if (tid.deliveryNotes.length === 0) {
+            rows.push(withFile(['', tid.value, 'Unpaired', formatPages(tid.occurrences)]));
+        }
+    }
+    return rows;
+}
+
+// =============================================================================
+// LINE ITEMS (DATE, PART NUMBER, QUANTITY)
+// =============================================================================
+
+/**
+ * Classifies a single word with CONFIG.FIELD_CLASSIFIERS. Returns the
+ * field name ('date', 'partNumber', 'quantity') or null.
+ */
+function classifyField(word) {
+    for (const [field, patterns] of Object.entries(CONFIG.FIELD_CLASSIFIERS)) {
+        if (patterns.some(p => new RegExp(p, 'i').test(word))) return field;
+    }
+    return null;
+}
+
+/**
+ * Pairs every accepted delivery note with the date, part number and quantity
+ * printed on the same row. A note found on several rows gets one line item
+ * per row. Sets results.lineItems = [{ deliveryNote, date, partNumber,
+ * quantity, pageNum, lineNum }].
+ */
+function extractLineItems(results, rows) {
+    const rowAt = new Map(rows.map(r => [`${r.pageNum}:${r.lineNum}`, r]));
+    const transportIds = new Set((results.transportIds || []).map(t => t.value));
+    const lineItems = [];
+    const seen = new Set();
+    
+    for (const note of new Set(results.accepted)) {
+        for (const occ of (results.provenance || {})[note] || []) {
+            const row = rowAt.get(`${occ.pageNum}:${occ.lineNum}`);
+            const key = `${note}|${occ.pageNum}|${occ.lineNum}`;
+            if (!row || seen.has(key)) continue;
+            seen.add(key);
+            
+            const fields = { date: [], partNumber: [], quantity: [] };
+            for (const word of row.text.split(/\s+/)) {
+                const digits = word.replace(/\D/g, '');
+                // The note itself (also "LS26996798") and Transport IDs are not fields
+                if (digits.includes(note) || transportIds.has(digits)) continue;
+                const field = classifyField(word);
+                if (field) fields[field].push(word);
+            }
+            
+            // Prefer a decimal quantity ("360.0"), otherwise the rightmost number
+            const quantity = fields.quantity.find(q => /[.,]/.test(q)) || fields.quantity[fields.quantity.length - 1] || '';
+            
+            lineItems.push({
+                deliveryNote: note,
+                date: fields.date[0] || '',
+                partNumber: fields.partNumber[0] || '',
+                quantity,
+                pageNum: occ.pageNum,
+                lineNum: occ.lineNum
+            });
+        }
+    }
+    
+    results.lineItems = lineItems;
+    return results;
+}
+
+function buildLineItemRows(results, fileName = null) {
+    const header = ['Delivery Note', 'Date', 'Part Number', 'Quantity', 'Page', 'Line'];
+    const rows = [fileName === null ? header : ['File', ...header]];
+    for (const li of results.lineItems || []) {
+        const row = [li.deliveryNote, li.date, li.partNumber, li.quantity, li.pageNum, li.lineNum];
+        rows.push(fileName === null ? row : [fileName, ...row]);
+    }
+    return rows;
+}
+
+// =============================================================================
+// WORKBOOK LAYOUT (SHEET ROWS)
+// =============================================================================
+
+// Rows (array of arrays) per sheet, without SheetJS - shared by the app's
+// Excel downloads and the command-line extractor.
+
+/**
+ * Builds the rows (array of arrays) for each sheet of the detailed workbook.
+ * Kept separate from SheetJS so the layout can be tested without it.
+ */
+function buildDetailedWorkbookSheets(results, fileName) {
+    const provenance = results.provenance || {};
+    const correctionOf = new Map((results.autoCorrections || []).map(c => [c.corrected, c]));
+    const profile = getFormatProfile(results.profileId);
+    
+    const accepted = [['Delivery Note', 'Pages', 'Status']];
+    for (const note of [...new Set(results.accepted || [])]) {
+        const correction = correctionOf.get(note);
+        const status = correction
+            ? `${correction.manual ? 'Manually corrected' : 'Auto-corrected'} from ${correction.original}`
+            : 'Original';
+        accepted.push([note, formatPages(provenance[note]), status]);
+    }
+    
+    const corrections = [['Original', 'Corrected', 'Reason', 'Confidence', 'Other Candidates', 'Pages']];
+    for (const c of results.autoCorrections || []) {
+        corrections.push([
+            c.original, c.corrected, c.reason, c.manual ? 'Manual' : formatConfidence(c.confidence),
+            (c.alternatives || []).slice(1).map(a => `${a.value} (${formatConfidence(a.confidence)})`).join('; '),
+            formatPages(c.occurrences)
+        ]);
+    }
+    
+    const excluded = [['Value', 'Reason', 'Pages']];
+    for (const e of results.excluded || []) {
+        excluded.push([e.value, e.reason, formatPages(e.occurrences)]);
+    }
+    
+    const invalid = [['Value', 'Reason', 'Pages']];
+    for (const e of results.invalid || []) {
+        invalid.push([e.value, e.reason, formatPages(e.occurrences)]);
+    }
+    
+    const duplicates = [['Value', 'Count', 'Reason', 'Pages']];
+    for (const d of results.duplicates || []) {
+        duplicates.push([d.value, d.count, d.reason, formatPages(d.occurrences)]);
+    }
+    
+    const audit = [['Value', 'Step', 'Rule', 'Outcome', 'Explanation']];
+    for (const [value, steps] of Object.entries(results.audit || {})) {
+        steps.forEach((s, i) => audit.push([value, i + 1, s.rule, s.outcome, s.text]));
+    }
+    
+    const summary = [
+        ['File', fileName],
+        ['Generated', new Date().toLocaleString()],
+        ['Format Profile', profile.name],
+        ['Pages', results.pageCount ?? ''],
+        ['OCR Pages', (results.ocrPages || []).join(', ')],
+        ['Accepted', new Set(results.accepted || []).size],
+        ['Auto-Corrections', (results.autoCorrections || []).length],
+        ['Excluded', (results.excluded || []).length],
+        ['Invalid', (results.invalid || []).length],
+        ['Duplicates (extra occurrences)', results.duplicateCount || 0],
+        ['Transport IDs', (results.transportIds || []).length],
+        ['Line Items', (results.lineItems || []).length],
+        ['Review Decisions', (results.reviewDecisions || []).length]
+    ];
+    
+    return {
+        'Accepted': accepted,
+        'Auto-Corrections': corrections,
+        'Excluded': excluded,
+        'Invalid': invalid,
+        'Duplicates': duplicates,
+        'DN-Transport ID': buildTransportMappingRows(results),
+        'Line Items': buildLineItemRows(results),
+        'Audit Trail': audit,
+        'Summary': summary
+    };
+}
+
+/**
+ * Rows for the consolidated workbook. `files` is [{ name, results }].
+ * Each delivery note appears once, sorted ascending, attributed to the first
+ * file it was found in; other files are listed under "Also Found In".
+ */
+function buildMasterWorkbookSheets(files) {
+    const notes = new Map();
+    const perFile = [['File', 'Accepted', 'Of Which Corrected', 'Excluded', 'Invalid', 'Duplicates', 'Transport IDs']];
+    const totals = [0, 0, 0, 0, 0, 0];
+    const transport = [['File', 'Delivery Note', 'Transport ID', 'Match', 'Page']];
+    const lineItems = buildLineItemRows({}, '');
+    
+    for (const { name, results } of files) {
+        if (!results) continue;
+        const correctionOf = new Map((results.autoCorrections || []).map(c => [c.corrected, c]));
+        const accepted = [...new Set(results.accepted || [])];
+        let corrected = 0;
+        
+        for (const note of accepted) {
+            const correction = correctionOf.get(note);
+            if (correction) corrected++;
+            
+            if (notes.has(note)) {
+                notes.get(note).alsoIn.push(name);
+                continue;
+            }
+            notes.set(note, {
+                file: name,
+                pages: formatPages((results.provenance || {})[note]),
+                status: correction
+                    ? `${correction.manual ? 'Manually corrected' : 'Auto-corrected'} from ${correction.original}`
+                    : 'Original',
+                alsoIn: []
+            });
+        }
+        
+        const row = [
+            accepted.length,
+            corrected,
+            (results.excluded || []).length,
+            (results.invalid || []).length,
+            results.duplicateCount || 0,
+            (results.transportIds || []).length
+        ];
+        transport.push(...buildTransportMappingRows(results, name).slice(1));
+        lineItems.push(...buildLineItemRows(results, name).slice(1));
+        row.forEach((n, i) => totals[i] += n);
+        perFile.push([name, ...row]);
+    }
+    
+    perFile.push(['TOTAL', ...totals]);
+    
+    const master = [['Delivery Note', 'Source File', 'Pages', 'Status', 'Also Found In']];
+    const sorted = [...notes.keys()].sort();
+    for (const note of sorted) {
+        const n = notes.get(note);
+        master.push([note, n.file, n.pages, n.status, n.alsoIn.join('; ')]);
+    }
+    
+    return { 'Delivery Notes': master, 'Per File': perFile, 'DN-Transport ID': transport, 'Line Items': lineItems };
+}
+
+/**
+ * Accepted delivery notes that appear in more than one file of the batch -
+ * the double-billing case. `files` is [{ id, name, results }].
+ * Returns [{ value, count, reason, files: [{ fileId, name, pages }], occurrences }]
+ * sorted by value; count is the number of files.
+ */
+function findCrossFileDuplicates(files) {
+    const byValue = new Map();
+    
+    for (const { id, name, results } of files) {
+        if (!results) continue;
+        for (const value of new Set(results.accepted || [])) {
+            const occurrences = ((results.provenance || {})[value] || [])
+                .map(occ => ({ ...occ, file: name, fileId: id }));
+            if (!byValue.has(value)) byValue.set(value, []);
+            byValue.get(value).push({ fileId: id, name, pages: formatPages(occurrences), occurrences });
+        }
+    }
+    
+    const duplicates = [];
+    for (const [value, found] of byValue) {
+        if (found.length < 2) continue;
+        duplicates.push({
+            value,
+            count: found.length,
+            reason: `In ${found.length} files: ` + found
+                .map(f => f.pages ? `${f.name} (p. ${f.pages})` : f.name)
+                .join('; '),
+            files: found.map(({ fileId, name, pages }) => ({ fileId, name, pages })),
+            occurrences: found.flatMap(f => f.occurrences)
+        });
+    }
+    
+    return duplicates.sort((a, b) => a.value.localeCompare(b.value));
+}
+
+/**
+ * Why a file has no Excel: it produced no accepted delivery notes.
+ */
+function getEmptyReason(results) {
+    if (results.excluded.length > 0) {
+        const { excluded } = getProfileLengthLabels(getFormatProfile(results.profileId));
+        return `No valid delivery notes: ${results.excluded.length} excluded${excluded ? ` (${excluded})` : ''}`;
+    }
+    if (results.invalid.length > 0) {
+        return `No valid delivery notes: ${results.invalid.length} invalid entries found`;
+    }
+    return 'No delivery notes found in document';
+}
+
+// =============================================================================
+// TEXT ANALYSIS
+// =============================================================================
+
+/**
+ * Everything after text extraction: header anchoring, candidate scanning
+ * and validation. DOM-free, so it also runs inside the worker pool.
+ */
+function analyzeTextItems(items, rows, pageCount, ocrPages, options) {
+    const profile = getFormatProfile(options.profileId);
+    const logger = options.logger || SILENT_LOGGER;
+    
+    // Optionally restrict candidates to the delivery note column
+    let candidateItems = items;
+    let columnRejections = [];
+    let headerAnchors = null;
+    if (options.headerAnchoring) {
+        const anchored = filterItemsByHeaderColumn(items, rows, options.headerLabels, CONFIG.HEADER_X_MARGIN, logger);
+        candidateItems = anchored.inColumn;
+        columnRejections = anchored.rejected;
+        headerAnchors = anchored.anchors;
+    }
+    
+    // Find all potential delivery notes (7-10 digit numbers)
+    // Returns: { unique, duplicates, totalCount, occurrenceCount }
+    const extractionResult = extractPotentialDeliveryNotes(candidateItems, profile, rows, logger);
+    
+    // Validate and classify
+    const results = validateDeliveryNotes(extractionResult, profile, { referenceNotes: options.referenceNotes, logger });
+    
+    // Report numbers dropped by header anchoring (once per value, and only
+    // if the same value was not also found inside the column). Their
+    // occurrences stay on the excluded entry, never on a note from the column.
+    const inColumn = new Set(extractionResult.unique);
+    const rejected = new Map();
+    for (const { item, reason } of columnRejections) {
+        for (const token of scanCandidateTokens([item], profile)) {
+            if (inColumn.has(token.value)) continue;
+            if (!rejected.has(token.value)) rejected.set(token.value, { reason, occurrences: [] });
+            rejected.get(token.value).occurrences.push(buildOccurrence(token, rows));
+        }
+    }
+    for (const [value, { reason, occurrences }] of rejected) {
+        results.provenance[value] = occurrences;
+        results.excluded.push({ value, reason, occurrences });
+        recordAuditStep(results, value, 'header-column', { labels: options.headerLabels || CONFIG.HEADER_LABELS }, 'excluded', `${reason} → excluded`);
+    }
+    
+    // Transport IDs come from the whole page, not just the delivery note column
+    extractTransportIds(results, items, rows, getTransportIdFormat(options.transportFormatId));
+    extractLineItems(results, rows);
+    
+    return {
+        ...results,
+        headerAnchors,
+        pageCount,
+        ocrPages,
+        rowCount: rows.length,
+        rawCount: extractionResult.totalCount,
+        uniqueRawCount: extractionResult.unique.length
+    };
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+function resolvePdfjs(options, logger) {
+    if (options.pdfjsLib) return options.pdfjsLib;
+    if (typeof pdfjsLib !== 'undefined') return pdfjsLib;
+    if (typeof require === 'function') {
+        // pdf.js warns about the missing canvas polyfills through console.log
+        // while it loads; those lines belong to the extraction log
+        const log = console.log;
+        console.log = logger.log.bind(logger);
+        try {
+            return require('pdfjs-dist/legacy/build/pdf.js');
+        } catch (error) {
+            throw new Error('pdf.js is not installed: run `npm install pdfjs-dist@3` or pass options.pdfjsLib');
+        } finally {
+            console.log = log;
+        }
+    }
+    throw new Error('pdf.js is not loaded: include pdf.min.js or pass options.pdfjsLib');
+}
+
+/**
+ * Runs the whole pipeline on one PDF. See the header of this file for the
+ * options and the result shape.
+ */
+async function extract(pdfBytes, options = {}) {
+    const logger = options.logger || SILENT_LOGGER;
+    const lib = resolvePdfjs(options, logger);
+    // pdf.js wants a plain Uint8Array (not a Node Buffer or an ArrayBuffer)
+    const data = ArrayBuffer.isView(pdfBytes)
+        ? new Uint8Array(pdfBytes.buffer, pdfBytes.byteOffset, pdfBytes.byteLength)
+        : new Uint8Array(pdfBytes);
+    
+    // pdf.js's own warnings (fonts, ...) only with a logger
+    const pdf = await lib.getDocument({ data, verbosity: logger === SILENT_LOGGER ? 0 : 1 }).promise;
+    try {
+        const { items, rows, pageCount, ocrPages } = await extractTextItems(pdf, options);
+        if (items.length === 0) {
+            throw new Error('Could not extract text from PDF. File may be scanned or protected.');
+        }
+        return analyzeTextItems(items, rows, pageCount, ocrPages, options);
+    } finally {
+        pdf.destroy();
+    }
+}
+
+const DNCore = {
+    CONFIG,
+    FORMAT_PROFILES,
+    TRANSPORT_ID_FORMATS,
+    CHECK_DIGIT_ALGORITHMS,
+    registerCheckDigitAlgorithm,
+    getFormatProfile,
+    getTransportIdFormat,
+    findFormatProfileProblem,
+    findTransportIdFormatProblem,
+    getProfileLengthLabels,
+    extract,
+    extractTextItems,
+    extractPageItems,
+    groupItemsIntoRows,
+    assignColumns,
+    extractPotentialDeliveryNotes,
+    validateDeliveryNotes,
+    analyzeTextItems,
+    buildTransportMappingRows,
+    buildLineItemRows,
+    buildDetailedWorkbookSheets,
+    buildMasterWorkbookSheets,
+    findCrossFileDuplicates,
+    getEmptyReason,
+    normalizeToken,
+    formatOccurrence,
+    formatPages,
+    getAuditTrail
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DNCore;
+} else {
+    globalThis.DNCore = DNCore;
+}
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * Command-line extractor check
+ *
+ * Runs scripts/extract-delivery-notes.js on the fixture PDFs in
+ * scripts/fixtures and checks the exit codes, the option validation and the
+ * files it writes.
+ *
+ * Prerequisites:
+ *   npm install            (pdfjs-dist@3 and xlsx from package.json)
+ *
+ * Run with:
+ *   node scripts/cli-check.js
+ *
+ * Fixtures (one page each):
+ *   notes.pdf     two delivery notes and a Transport ID on the first note's row
+ *   invalid.pdf   two delivery notes and a 7-digit number that can't be corrected
+ *   empty.pdf     text, but no delivery notes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, 'extract-delivery-notes.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+const TIMEOUT_MS = 60000;
+
+function runCli(args) {
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'dn-cli-'));
+    const result = spawnSync(process.execPath, [CLI, '--out', out, ...args], { encoding: 'utf8', timeout: TIMEOUT_MS });
+    const read = (name) => fs.existsSync(path.join(out, name)) ? fs.readFileSync(path.join(out, name)) : null;
+    const summary = read('summary.json');
+    return {
+        code: result.status,
+        stdout: result.stdout,
+        stderr: result.stderr,
+        files: fs.readdirSync(out).sort(),
+        summary: summary ? JSON.parse(summary) : null,
+        read,
+        cleanup: () => fs.rmSync(out, { recursive: true, force: true })
+    };
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function fixture(name) {
+    return path.join(FIXTURES, name);
+}
+
+const testCases = [
+    {
+        name: 'Delivery notes only → exit 0, per-file and master workbooks',
+        args: [fixture('notes.pdf')],
+        check: (run, XLSX) => {
+            expect(run.code === 0, `exit ${run.code}`);
+            expect(run.files.join(',') === 'delivery_notes_master.xlsx,notes.xlsx,summary.json,summary.txt', `files: ${run.files}`);
+            const sheet = XLSX.read(run.read('notes.xlsx')).Sheets.Sheet1;
+            const notes = XLSX.utils.sheet_to_json(sheet, { header: 1 }).map(row => String(row[0]));
+            expect(notes.join(',') === '26996798,27008029', `Sheet1: ${notes}`);
+            const master = XLSX.read(run.read('delivery_notes_master.xlsx'));
+            expect(master.SheetNames.includes('Delivery Notes'), `master sheets: ${master.SheetNames}`);
+            expect(run.summary.exitCode === 0, 'summary.json exitCode');
+            expect(run.summary.totals.accepted === 2, 'summary.json accepted total');
+            const pair = run.summary.files[0].transportPairs[0];
+            expect(pair && pair.deliveryNote === '26996798' && pair.transportId === '1234567890', 'summary.json Transport ID pair');
+        }
+    },
+    {
+        name: 'Invalid entries → exit 1, listed in summary.json',
+        args: [fixture('invalid.pdf')],
+        check: (run) => {
+            expect(run.code === 1, `exit ${run.code}`);
+            expect(run.summary.exitCode === 1, 'summary.json exitCode');
+            expect(run.summary.files[0].invalid.some(e => e.value === '2718089'), 'invalid entry');
+            expect(run.files.includes('invalid.xlsx'), 'workbook still written');
+        }
+    },
+    {
+        name: 'No delivery notes → exit 2, no workbooks',
+        args: [fixture('empty.pdf')],
+        check: (run) => {
+            expect(run.code === 2, `exit ${run.code}`);
+            expect(run.files.join(',') === 'summary.json,summary.txt', `files: ${run.files}`);
+            expect(run.summary.files[0].status === 'empty', 'empty status');
+            expect(run.summary.files[0].emptyReason === 'No delivery notes found in document', 'empty reason');
+        }
+    },
+    {
+        name: 'Directory with invalid and empty files → exit 3 (1 + 2)',
+        args: [FIXTURES, '--json'],
+        check: (run) => {
+            expect(run.code === 3, `exit ${run.code}`);
+            const printed = JSON.parse(run.stdout);
+            expect(printed.exitCode === 3 && run.summary.exitCode === 3, 'exitCode in --json output and summary.json');
+            expect(run.summary.files.map(f => f.name).join(',') === 'empty.pdf,invalid.pdf,notes.pdf', 'all PDFs, sorted');
+            expect(run.summary.crossFileDuplicates.length === 2, 'cross-file duplicates');
+        }
+    },
+    {
+        name: 'Unknown --profile → exit 4, nothing written',
+        args: [fixture('notes.pdf'), '--profile', 'nope'],
+        check: (run) => {
+            expect(run.code === 4, `exit ${run.code}`);
+            expect(/Unknown profile 'nope' \(available: default/.test(run.stderr), run.stderr);
+            expect(run.files.length === 0, `files: ${run.files}`);
+        }
+    },
+    {
+        name: 'Unknown --transport-format → exit 4',
+        args: [fixture('notes.pdf'), '--transport-format', 'nope'],
+        check: (run) => {
+            expect(run.code === 4, `exit ${run.code}`);
+            expect(/Unknown Transport ID format 'nope'/.test(run.stderr), run.stderr);
+        }
+    },
+    {
+        name: '--profile without a value → exit 4',
+        args: [fixture('notes.pdf'), '--profile'],
+        check: (run) => {
+            expect(run.code === 4, `exit ${run.code}`);
+            expect(/--profile needs a value/.test(run.stderr), run.stderr);
+        }
+    },
+    {
+        name: 'Missing file → exit 4',
+        args: [fixture('missing.pdf')],
+        check: (run) => {
+            expect(run.code === 4, `exit ${run.code}`);
+            expect(/ENOENT/.test(run.stderr), run.stderr);
+        }
+    },
+    {
+        name: 'Known profile and Transport ID format are accepted',
+        args: [fixture('notes.pdf'), '--profile', 'digits8Luhn', '--transport-format', 'default'],
+        check: (run) => {
+            expect(run.summary && run.summary.profileId === 'digits8Luhn', 'profile in summary.json');
+            expect(run.summary.transportFormatId === 'default', 'Transport ID format in summary.json');
+        }
+    }
+];
+
+function runTests() {
+    console.log('═══════════════════════════════════════════════════════════════');
+    console.log('  COMMAND-LINE EXTRACTOR CHECK');
+    console.log('═══════════════════════════════════════════════════════════════\n');
+
+    let XLSX;
+    try {
+        XLSX = require('xlsx');
+        require.resolve('pdfjs-dist/legacy/build/pdf.js');
+    } catch (error) {
+        console.error('❌ pdfjs-dist@3 and xlsx are needed: run `npm install` first');
+        return false;
+    }
+
+    let passed = 0, failed = 0;
+    for (const tc of testCases) {
+        const run = runCli(tc.args);
+        let error = null;
+        try {
+            tc.check(run, XLSX);
+        } catch (e) {
+            error = e;
+        } finally {
+            run.cleanup();
+        }
+
+        const color = error ? '\x1b[31m' : '\x1b[32m';
+        console.log(`${color}${error ? '✗ FAIL' : '✓ PASS'}\x1b[0m ${tc.name}`);
+        if (error) console.log(`       ${error.message}`);
+
+        if (error) failed++;
+        else passed++;
+    }
+
+    console.log(`\n  CLI: ${passed} passed, ${failed} failed\n`);
+    return failed === 0;
+}
+
+if (require.main === module) {
+    process.exit(runTests() ? 0 : 1);
+}
+
+module.exports = { runTests, runCli };
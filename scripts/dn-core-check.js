@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Delivery note core check
+ *
+ * Loads dn-core.js the way the CLI and the HTTP service do and checks the
+ * profiles, validateDeliveryNotes and extract() with an in-memory pdf.js
+ * stand-in (no npm packages needed).
+ *
+ * Run with:
+ *   node scripts/dn-core-check.js
+ */
+
+const DNCore = require('../dn-core.js');
+
+/**
+ * Minimal pdf.js stand-in for DNCore.extract(): pages = [[[text, x, y], ...], ...]
+ */
+function createFakePdfjs(pages) {
+    return {
+        getDocument: () => ({
+            promise: Promise.resolve({
+                numPages: pages.length,
+                getPage: async (pageNum) => ({
+                    getTextContent: async () => ({
+                        items: pages[pageNum - 1].map(([str, x, y]) => ({
+                            str, transform: [10, 0, 0, 10, x, y], width: str.length * 5, height: 10
+                        }))
+                    })
+                }),
+                destroy: () => {}
+            })
+        })
+    };
+}
+
+function validateNotes(notes, profileId = 'default') {
+    const items = notes.map((text, i) => ({ text, pageNum: 1, x: 100, y: 700 - i * 20, width: 40, height: 10 }));
+    const profile = DNCore.getFormatProfile(profileId);
+    return DNCore.validateDeliveryNotes(DNCore.extractPotentialDeliveryNotes(items, profile), profile);
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function sameValues(actual, expected) {
+    return JSON.stringify([...actual].sort()) === JSON.stringify([...expected].sort());
+}
+
+const testCases = [
+    {
+        name: 'require() exposes the public API',
+        run: () => {
+            const missing = ['extract', 'validateDeliveryNotes', 'extractPotentialDeliveryNotes', 'getFormatProfile', 'getEmptyReason']
+                .filter(fn => typeof DNCore[fn] !== 'function');
+            expect(missing.length === 0, `missing: ${missing}`);
+        }
+    },
+    {
+        name: 'Unknown profile falls back to the default profile',
+        run: () => expect(DNCore.getFormatProfile('nope') === DNCore.FORMAT_PROFILES.default, 'fallback')
+    },
+    {
+        name: 'Every profile has a length and candidate range',
+        run: () => {
+            for (const [id, p] of Object.entries(DNCore.FORMAT_PROFILES)) {
+                expect(p.length >= p.candidateLengths.min && p.length <= p.candidateLengths.max, id);
+            }
+        }
+    },
+    {
+        name: 'Built-in profiles and Transport ID formats pass the shape check',
+        run: () => {
+            for (const [id, p] of Object.entries(DNCore.FORMAT_PROFILES)) {
+                expect(DNCore.findFormatProfileProblem(p) === null, `${id}: ${DNCore.findFormatProfileProblem(p)}`);
+            }
+            for (const [id, f] of Object.entries(DNCore.TRANSPORT_ID_FORMATS)) {
+                expect(DNCore.findTransportIdFormatProblem(f) === null, `${id}: ${DNCore.findTransportIdFormatProblem(f)}`);
+            }
+            const profile = DNCore.FORMAT_PROFILES.default;
+            expect(DNCore.findFormatProfileProblem({ ...profile, candidateLengths: undefined }), 'missing range');
+            expect(DNCore.findFormatProfileProblem({ ...profile, exclusions: [{ pattern: '([', reason: 'x' }] }), 'bad pattern');
+            expect(DNCore.findFormatProfileProblem({ ...profile, checkDigit: { algorithm: 'nope' } }), 'unknown algorithm');
+            expect(DNCore.findTransportIdFormatProblem({ ...DNCore.TRANSPORT_ID_FORMATS.default, lengths: [] }), 'no lengths');
+        }
+    },
+    {
+        name: 'Default profile: 8 accepted, 9-10 excluded, leading zeros stripped',
+        run: () => {
+            const r = validateNotes(['26996798', '123456789', '1234567890', '0027008029']);
+            expect(sameValues(r.accepted, ['26996798', '27008029']), `accepted: ${r.accepted}`);
+            expect(sameValues(r.excluded.map(e => e.value), ['123456789', '1234567890']), 'excluded');
+            expect(r.autoCorrections[0].original === '0027008029', 'leading zeros');
+        }
+    },
+    {
+        name: 'Default profile: 7 digits get a leading digit from the prefix model',
+        run: () => {
+            const r = validateNotes(['26996798', '27008029', '27180891', '7180890']);
+            expect(r.accepted.includes('27180890'), `accepted: ${r.accepted}`);
+            expect(r.autoCorrections.some(c => c.original === '7180890'), 'correction');
+        }
+    },
+    {
+        name: '6 digit profile accepts 6 digits only',
+        run: () => {
+            const r = validateNotes(['554131', '26996798'], 'digits6');
+            expect(sameValues(r.accepted, ['554131']), `accepted: ${r.accepted}`);
+            expect(r.invalid.some(e => e.value === '26996798'), 'invalid');
+        }
+    },
+    {
+        name: 'Luhn profile rejects a bad check digit',
+        run: () => {
+            const r = validateNotes(['26996793', '26996798'], 'digits8Luhn');
+            expect(sameValues(r.accepted, ['26996793']), `accepted: ${r.accepted}`);
+            expect(r.invalid.some(e => e.value === '26996798'), 'invalid');
+        }
+    },
+    {
+        name: 'extract() runs the whole pipeline on a PDF',
+        run: async () => {
+            const pdfjsLib = createFakePdfjs([
+                [['Delivery Note', 100, 720], ['26996798', 100, 700], ['1234567890', 300, 700]],
+                [['27008029', 100, 700]]
+            ]);
+            const r = await DNCore.extract(new Uint8Array(1), { pdfjsLib });
+            expect(r.pageCount === 2, `pages: ${r.pageCount}`);
+            expect(sameValues(r.accepted, ['26996798', '27008029']), `accepted: ${r.accepted}`);
+            expect(r.provenance['27008029'][0].pageNum === 2, 'provenance page');
+            expect(r.transportPairs.some(p => p.deliveryNote === '26996798' && p.transportId === '1234567890'), 'Transport ID pair');
+        }
+    },
+    {
+        name: 'extract() logs only to options.logger',
+        run: async () => {
+            const pdfjsLib = createFakePdfjs([[['Delivery Note', 100, 720], ['26996798', 100, 700]]]);
+            const lines = [];
+            const log = console.log;
+            console.log = (...args) => lines.push(args.join(' '));
+            try {
+                await DNCore.extract(new Uint8Array(1), { pdfjsLib });
+            } finally {
+                console.log = log;
+            }
+            expect(lines.length === 0, `console.log called: ${lines[0]}`);
+
+            const logged = [];
+            await DNCore.extract(new Uint8Array(1), { pdfjsLib, logger: { log: (...args) => logged.push(args.join(' ')), warn: () => {} } });
+            expect(logged.some(line => /Accepted: 26996798/.test(line)), 'logger not called');
+        }
+    },
+    {
+        name: 'extract() rejects a PDF without text',
+        run: async () => {
+            let error = null;
+            try {
+                await DNCore.extract(new Uint8Array(1), { pdfjsLib: createFakePdfjs([[]]) });
+            } catch (e) {
+                error = e;
+            }
+            expect(error && /Could not extract text/.test(error.message), `error: ${error && error.message}`);
+        }
+    }
+];
+
+async function runTests() {
+    console.log('═══════════════════════════════════════════════════════════════');
+    console.log('  DELIVERY NOTE CORE CHECK');
+    console.log('═══════════════════════════════════════════════════════════════\n');
+
+    let passed = 0, failed = 0;
+    for (const tc of testCases) {
+        let error = null;
+        try {
+            await tc.run();
+        } catch (e) {
+            error = e;
+        }
+
+        const color = error ? '\x1b[31m' : '\x1b[32m';
+        console.log(`${color}${error ? '✗ FAIL' : '✓ PASS'}\x1b[0m ${tc.name}`);
+        if (error) console.log(`       ${error.message}`);
+
+        if (error) failed++;
+        else passed++;
+    }
+
+    console.log(`\n  Core: ${passed} passed, ${failed} failed\n`);
+    return failed === 0;
+}
+
+if (require.main === module) {
+    runTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runTests, createFakePdfjs };
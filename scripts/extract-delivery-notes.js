@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+/**
+ * Headless Delivery Note Extractor (CLI)
+ *
+ * Same rules as the browser app (dn-core.js), for nightly jobs that drop
+ * PDFs into a folder.
+ *
+ * Prerequisites:
+ *   npm install            (pdfjs-dist@3 and xlsx from package.json)
+ *
+ * Run with:
+ *   node scripts/extract-delivery-notes.js <file.pdf | directory> [options]
+ *
+ * Options:
+ *   --out <dir>               Output directory (default: ./dn-output)
+ *   --profile <id>            Delivery note format profile (default: default)
+ *   --transport-format <id>   Transport ID format (default: default)
+ *   --header-anchoring        Only accept numbers under a delivery note header
+ *   --header-labels <a,b,c>   Header labels for --header-anchoring
+ *   --batch-prefix-model      Use accepted notes of the other files for 7-digit corrections
+ *   --detailed                Per-file multi-sheet workbook instead of the single column
+ *   --json                    Print the JSON summary instead of the text report
+ *   --verbose                 Show the extraction log
+ *
+ * Writes to the output directory:
+ *   <name>.xlsx                  per PDF with accepted notes (same layout as the app)
+ *   delivery_notes_master.xlsx   combined workbook (master workbook layout)
+ *   summary.txt / summary.json   batch summary (like "Export Summary Report")
+ *
+ * Exit codes (flags, added up):
+ *   0  all files had delivery notes and no invalid entries
+ *   1  invalid entries found
+ *   2  empty files (no delivery notes, no text or unreadable)
+ *   4  usage error or missing dependency
+ *
+ * Scanned pages are not OCR'd here; they only count as pages without text.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DNCore = require('../dn-core.js');
+const { loadXlsx, fileWorkbook, masterWorkbook } = require('./workbooks.js');
+
+const EXIT = { OK: 0, INVALID: 1, EMPTY: 2, USAGE: 4 };
+
+const USAGE = 'Usage: node scripts/extract-delivery-notes.js <file.pdf | directory> [--out <dir>] [--profile <id>] ' +
+    '[--transport-format <id>] [--header-anchoring] [--header-labels <a,b,c>] [--batch-prefix-model] [--detailed] [--json] [--verbose]';
+
+function parseArgs(argv) {
+    const args = { target: null, out: 'dn-output', profileId: 'default', transportFormatId: 'default',
+        headerAnchoring: false, headerLabels: null, batchPrefixModel: false, detailed: false, json: false, verbose: false };
+    const valueFlags = { '--out': 'out', '--profile': 'profileId', '--transport-format': 'transportFormatId', '--header-labels': 'headerLabels' };
+    const boolFlags = { '--header-anchoring': 'headerAnchoring', '--batch-prefix-model': 'batchPrefixModel',
+        '--detailed': 'detailed', '--json': 'json', '--verbose': 'verbose' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (valueFlags[arg]) {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            args[valueFlags[arg]] = argv[++i];
+        } else if (boolFlags[arg]) {
+            args[boolFlags[arg]] = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else if (!args.target) {
+            args.target = arg;
+        } else {
+            throw new Error(`Unexpected argument ${arg}`);
+        }
+    }
+
+    if (!args.target) throw new Error('No file or directory given');
+    if (!DNCore.FORMAT_PROFILES[args.profileId]) {
+        throw new Error(`Unknown profile '${args.profileId}' (available: ${Object.keys(DNCore.FORMAT_PROFILES).join(', ')})`);
+    }
+    if (!DNCore.TRANSPORT_ID_FORMATS[args.transportFormatId]) {
+        throw new Error(`Unknown Transport ID format '${args.transportFormatId}' (available: ${Object.keys(DNCore.TRANSPORT_ID_FORMATS).join(', ')})`);
+    }
+    if (args.headerLabels) args.headerLabels = args.headerLabels.split(',').map(l => l.trim()).filter(Boolean);
+    return args;
+}
+
+function listPdfs(target) {
+    const stat = fs.statSync(target);
+    if (!stat.isDirectory()) return [target];
+    return fs.readdirSync(target)
+        .filter(name => /\.pdf$/i.test(name))
+        .sort()
+        .map(name => path.join(target, name));
+}
+
+function countTotals(files) {
+    const totals = { files: files.length, empty: 0, errors: 0, accepted: 0, excluded: 0, invalid: 0, duplicates: 0, corrections: 0, transportIds: 0 };
+    for (const f of files) {
+        if (f.status !== 'done') totals.empty++;
+        if (f.status === 'error') totals.errors++;
+        if (!f.results) continue;
+        totals.accepted += f.results.accepted.length;
+        totals.excluded += f.results.excluded.length;
+        totals.invalid += f.results.invalid.length;
+        totals.duplicates += f.results.duplicateCount || 0;
+        totals.corrections += f.results.autoCorrections.length;
+        totals.transportIds += (f.results.transportIds || []).length;
+    }
+    return totals;
+}
+
+function buildTextReport(files, totals, crossFileDuplicates, args) {
+    let report = `DELIVERY NOTE EXTRACTOR - SUMMARY REPORT\n`;
+    report += `Generated: ${new Date().toLocaleString()}\n`;
+    report += `Source: command line (${args.target})\n`;
+    report += `Format Profile: ${DNCore.getFormatProfile(args.profileId).name}\n\n`;
+    report += `${'='.repeat(50)}\nSTATISTICS\n${'='.repeat(50)}\n`;
+
+    report += `Total Files: ${totals.files}\n`;
+    report += `Files with Data: ${totals.files - totals.empty}\n`;
+    report += `Empty Files (no delivery notes): ${totals.empty}${totals.errors ? ` (${totals.errors} unreadable)` : ''}\n`;
+    report += `Accepted: ${totals.accepted}\n`;
+    report += `Excluded: ${totals.excluded}\n`;
+    report += `Invalid: ${totals.invalid}\n`;
+    report += `Duplicates: ${totals.duplicates}\n`;
+    report += `Auto-Corrections: ${totals.corrections}\n`;
+    report += `Transport IDs: ${totals.transportIds}\n`;
+    report += `Cross-File Duplicates: ${crossFileDuplicates.length}\n\n`;
+
+    if (crossFileDuplicates.length > 0) {
+        report += `${'='.repeat(50)}\nCROSS-FILE DUPLICATES (possible double billing)\n${'='.repeat(50)}\n`;
+        for (const d of crossFileDuplicates) {
+            report += `\n${d.value} (${d.count} files)\n`;
+            for (const f of d.files) {
+                report += `  ${f.name}${f.pages ? ` - page ${f.pages}` : ''}\n`;
+            }
+        }
+        report += '\n';
+    }
+
+    report += `${'='.repeat(50)}\nFILE DETAILS\n${'='.repeat(50)}\n`;
+    for (const f of files) {
+        report += `\n${f.name}\n  Status: ${f.status}\n`;
+        if (f.error) report += `  Error: ${f.error}\n`;
+        if (f.emptyReason) report += `  ${f.emptyReason}\n`;
+        if (f.excel) report += `  Excel: ${f.excel}\n`;
+        if (!f.results) continue;
+        report += `  Accepted: ${f.results.accepted.length}\n`;
+        report += `  Excluded: ${f.results.excluded.length}\n`;
+        report += `  Invalid: ${f.results.invalid.length}\n`;
+        for (const e of f.results.invalid) {
+            report += `    ${e.value}: ${e.reason}\n`;
+        }
+        report += `  Duplicates: ${f.results.duplicateCount || 0}\n`;
+        report += `  Auto-Corrections: ${f.results.autoCorrections.length}\n`;
+        report += `  Transport IDs: ${(f.results.transportIds || []).length}\n`;
+    }
+    return report;
+}
+
+function buildJsonSummary(files, totals, crossFileDuplicates, args, exitCode) {
+    return {
+        generated: new Date().toISOString(),
+        source: args.target,
+        profileId: args.profileId,
+        transportFormatId: args.transportFormatId,
+        exitCode,
+        totals,
+        crossFileDuplicates: crossFileDuplicates.map(({ value, count, files }) => ({ value, count, files })),
+        files: files.map(f => ({
+            name: f.name,
+            status: f.status,
+            error: f.error || null,
+            emptyReason: f.emptyReason || null,
+            excel: f.excel || null,
+            accepted: f.results ? [...new Set(f.results.accepted)] : [],
+            excluded: f.results ? f.results.excluded.map(({ value, reason }) => ({ value, reason })) : [],
+            invalid: f.results ? f.results.invalid.map(({ value, reason }) => ({ value, reason })) : [],
+            autoCorrections: f.results ? f.results.autoCorrections.map(({ original, corrected, reason, confidence }) => ({ original, corrected, reason, confidence })) : [],
+            duplicates: f.results ? f.results.duplicates.map(({ value, count }) => ({ value, count })) : [],
+            transportPairs: f.results ? (f.results.transportPairs || []).map(({ deliveryNote, transportId }) => ({ deliveryNote, transportId })) : []
+        }))
+    };
+}
+
+async function main() {
+    let args, pdfs, XLSX;
+    try {
+        args = parseArgs(process.argv.slice(2));
+        pdfs = listPdfs(args.target);
+        XLSX = loadXlsx();
+    } catch (error) {
+        console.error(`❌ ${error.message}\n${USAGE}`);
+        return EXIT.USAGE;
+    }
+
+    fs.mkdirSync(args.out, { recursive: true });
+    const files = [];
+    const referenceNotes = [];
+
+    for (const pdfPath of pdfs) {
+        const name = path.basename(pdfPath);
+        const file = { id: name, name, status: 'processing', results: null };
+        files.push(file);
+
+        try {
+            file.results = await DNCore.extract(fs.readFileSync(pdfPath), {
+                profileId: args.profileId,
+                transportFormatId: args.transportFormatId,
+                headerAnchoring: args.headerAnchoring,
+                headerLabels: args.headerLabels || undefined,
+                referenceNotes: args.batchPrefixModel ? referenceNotes.slice() : [],
+                logger: args.verbose ? console : undefined
+            });
+        } catch (error) {
+            if (/pdf\.js is not installed/.test(error.message)) {
+                console.error(`❌ ${error.message}`);
+                return EXIT.USAGE;
+            }
+            file.status = 'error';
+            file.error = error.message;
+            console.error(`❌ ${name}: ${error.message}`);
+            continue;
+        }
+
+        if (file.results.accepted.length === 0) {
+            file.status = 'empty';
+            file.emptyReason = DNCore.getEmptyReason(file.results);
+            console.error(`⚠️ ${name}: ${file.emptyReason}`);
+            continue;
+        }
+
+        file.status = 'done';
+        file.excel = name.replace(/\.pdf$/i, '') + '.xlsx';
+        XLSX.writeFile(fileWorkbook(XLSX, name, file.results, args.detailed), path.join(args.out, file.excel));
+        referenceNotes.push(...file.results.accepted);
+        console.error(`✅ ${name}: ${new Set(file.results.accepted).size} delivery notes`);
+    }
+
+    const done = files.filter(f => f.status === 'done');
+    if (done.length > 0) {
+        XLSX.writeFile(masterWorkbook(XLSX, done), path.join(args.out, 'delivery_notes_master.xlsx'));
+    }
+
+    const totals = countTotals(files);
+    const crossFileDuplicates = DNCore.findCrossFileDuplicates(done);
+    let exitCode = EXIT.OK;
+    if (totals.invalid > 0) exitCode += EXIT.INVALID;
+    if (totals.empty > 0 || files.length === 0) exitCode += EXIT.EMPTY;
+
+    const report = buildTextReport(files, totals, crossFileDuplicates, args);
+    const summary = buildJsonSummary(files, totals, crossFileDuplicates, args, exitCode);
+    fs.writeFileSync(path.join(args.out, 'summary.txt'), report);
+    fs.writeFileSync(path.join(args.out, 'summary.json'), JSON.stringify(summary, null, 2));
+
+    console.log(args.json ? JSON.stringify(summary, null, 2) : report);
+    return exitCode;
+}
+
+main().then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error('❌ Unexpected error:', error);
+    process.exitCode = EXIT.USAGE;
+});
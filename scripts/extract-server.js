@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+/**
+ * Local Delivery Note Extraction Service (HTTP)
+ *
+ * Runs the dn-core.js pipeline behind a small HTTP API so an ERP can call
+ * it without a browser. No CDN or network access needed: pdf.js and
+ * SheetJS come from node_modules.
+ *
+ * Prerequisites:
+ *   npm install            (pdfjs-dist@3 and xlsx from package.json)
+ *
+ * Run with:
+ *   node scripts/extract-server.js [--port 8787] [--host 127.0.0.1] [--verbose]
+ *
+ * Endpoints:
+ *   GET  /health    → { status, profiles, transportFormats }
+ *   POST /extract   body = one PDF (Content-Type: application/pdf)
+ *                   → { name, accepted, excluded, invalid, duplicates,
+ *                       autoCorrections, ... } - the shape processPDF returns
+ *                   ?format=xlsx → the file's Excel (422 if no delivery notes)
+ *   POST /batch     body = multipart/form-data with one or more PDF files
+ *                   → { files: [{ name, status, results | error }], crossFileDuplicates }
+ *                   ?format=xlsx → the consolidated master workbook
+ *
+ * Query options (both endpoints):
+ *   name=<file.pdf>         file name for /extract (default: document.pdf)
+ *   profile=<id>            delivery note format profile
+ *   transportFormat=<id>    Transport ID format
+ *   headerAnchoring=1       only accept numbers under a delivery note header
+ *   headerLabels=a,b,c      header labels for headerAnchoring
+ *   detailed=1              multi-sheet workbook for /extract?format=xlsx
+ *   batchPrefixModel=1      /batch: use the other files' notes for 7-digit corrections
+ *
+ * Example:
+ *   curl --data-binary @note.pdf -H "Content-Type: application/pdf" http://127.0.0.1:8787/extract
+ *   curl -F files=@a.pdf -F files=@b.pdf "http://127.0.0.1:8787/batch?format=xlsx" -o master.xlsx
+ */
+
+const http = require('http');
+const DNCore = require('../dn-core.js');
+const { loadXlsx, fileWorkbook, masterWorkbook } = require('./workbooks.js');
+
+const PORT = 8787;
+const HOST = '127.0.0.1';               // local only - put a proxy in front to expose it
+const MAX_BODY_BYTES = 100 * 1024 * 1024;
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+function createHttpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function parseArgs(argv) {
+    const args = { port: PORT, host: HOST, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = Number(argv[++i]);
+        else if (argv[i] === '--host') args.host = argv[++i];
+        else if (argv[i] === '--verbose') args.verbose = true;
+        else throw new Error(`Unknown option ${argv[i]}`);
+    }
+    if (!Number.isInteger(args.port) || args.port < 0) throw new Error('--port needs a number');
+    return args;
+}
+
+/**
+ * The whole request body as a Buffer. Past maxBytes it stops reading and
+ * rejects with a 413; the error response then closes the connection
+ * (see createServer) instead of resetting it under the client.
+ */
+function readBody(req, maxBytes = MAX_BODY_BYTES) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                req.removeListener('data', onData);
+                req.pause();
+                reject(createHttpError(413, `Request body larger than ${maxBytes} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * File parts of a multipart/form-data body: [{ name, data }].
+ * Fields without a filename are ignored.
+ */
+function parseMultipart(body, contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+    if (!match) throw createHttpError(400, 'multipart/form-data boundary missing');
+    const boundary = Buffer.from(`--${match[1] || match[2]}`);
+
+    const files = [];
+    let start = body.indexOf(boundary);
+    while (start !== -1) {
+        start += boundary.length;
+        if (body.subarray(start, start + 2).toString() === '--') break;
+        const end = body.indexOf(boundary, start);
+        if (end === -1) break;
+
+        // Each part: CRLF, headers, CRLF CRLF, content, CRLF
+        const part = body.subarray(start + 2, end - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        const headers = part.subarray(0, headerEnd).toString();
+        const fileName = /filename="([^"]*)"/i.exec(headers);
+        if (headerEnd !== -1 && fileName) {
+            files.push({ name: fileName[1] || `file${files.length + 1}.pdf`, data: part.subarray(headerEnd + 4) });
+        }
+        start = end;
+    }
+    return files;
+}
+
+function getExtractOptions(query, logger) {
+    const profileId = query.get('profile') || 'default';
+    const transportFormatId = query.get('transportFormat') || 'default';
+    if (!DNCore.FORMAT_PROFILES[profileId]) {
+        throw createHttpError(400, `Unknown profile '${profileId}'`);
+    }
+    if (!DNCore.TRANSPORT_ID_FORMATS[transportFormatId]) {
+        throw createHttpError(400, `Unknown Transport ID format '${transportFormatId}'`);
+    }
+    const labels = query.get('headerLabels');
+    return {
+        profileId,
+        transportFormatId,
+        headerAnchoring: query.get('headerAnchoring') === '1',
+        headerLabels: labels ? labels.split(',').map(l => l.trim()).filter(Boolean) : undefined,
+        logger
+    };
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+function sendWorkbook(res, XLSX, wb, fileName) {
+    res.writeHead(200, {
+        'Content-Type': XLSX_TYPE,
+        'Content-Disposition': `attachment; filename="${fileName.replace(/"/g, '')}"`
+    });
+    res.end(XLSX.write(wb, { bookType: 'xlsx', type: 'buffer' }));
+}
+
+async function handleExtract(req, res, query, XLSX, settings) {
+    const options = getExtractOptions(query, settings.logger);
+    const name = query.get('name') || 'document.pdf';
+    const body = await readBody(req, settings.maxBodyBytes);
+    if (body.length === 0) throw createHttpError(400, 'Empty request body - POST the PDF bytes');
+
+    let results;
+    try {
+        results = await DNCore.extract(body, options);
+    } catch (error) {
+        throw createHttpError(422, error.message);
+    }
+
+    if (query.get('format') !== 'xlsx') {
+        sendJson(res, 200, { name, ...results });
+        return;
+    }
+    if (results.accepted.length === 0) {
+        throw createHttpError(422, DNCore.getEmptyReason(results));
+    }
+    sendWorkbook(res, XLSX, fileWorkbook(XLSX, name, results, query.get('detailed') === '1'), name.replace(/\.pdf$/i, '') + '.xlsx');
+}
+
+async function handleBatch(req, res, query, XLSX, settings) {
+    const options = getExtractOptions(query, settings.logger);
+    const contentType = req.headers['content-type'] || '';
+    if (!/^multipart\/form-data/i.test(contentType)) {
+        throw createHttpError(415, 'POST the PDFs as multipart/form-data');
+    }
+    const uploads = parseMultipart(await readBody(req, settings.maxBodyBytes), contentType);
+    if (uploads.length === 0) throw createHttpError(400, 'No files in the upload');
+
+    const files = [];
+    const referenceNotes = [];
+    for (const upload of uploads) {
+        const file = { id: upload.name, name: upload.name, status: 'done', results: null, error: null };
+        try {
+            file.results = await DNCore.extract(upload.data, {
+                ...options,
+                referenceNotes: query.get('batchPrefixModel') === '1' ? referenceNotes.slice() : []
+            });
+            if (file.results.accepted.length === 0) {
+                file.status = 'empty';
+                file.error = DNCore.getEmptyReason(file.results);
+            } else {
+                referenceNotes.push(...file.results.accepted);
+            }
+        } catch (error) {
+            file.status = 'error';
+            file.error = error.message;
+        }
+        files.push(file);
+    }
+
+    const done = files.filter(f => f.status === 'done');
+    if (query.get('format') === 'xlsx') {
+        if (done.length === 0) throw createHttpError(422, 'No delivery notes found in any file');
+        sendWorkbook(res, XLSX, masterWorkbook(XLSX, done), 'delivery_notes_master.xlsx');
+        return;
+    }
+    sendJson(res, 200, {
+        files: files.map(({ name, status, results, error }) => ({ name, status, results, error })),
+        crossFileDuplicates: DNCore.findCrossFileDuplicates(done)
+    });
+}
+
+/**
+ * options.maxBodyBytes: upload limit (default MAX_BODY_BYTES).
+ * options.logger: extraction log, e.g. console (default: silent).
+ */
+function createServer(XLSX, options = {}) {
+    const settings = { maxBodyBytes: options.maxBodyBytes || MAX_BODY_BYTES, logger: options.logger };
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            if (req.method === 'GET' && url.pathname === '/health') {
+                sendJson(res, 200, {
+                    status: 'ok',
+                    profiles: Object.keys(DNCore.FORMAT_PROFILES),
+                    transportFormats: Object.keys(DNCore.TRANSPORT_ID_FORMATS)
+                });
+            } else if (req.method === 'POST' && url.pathname === '/extract') {
+                await handleExtract(req, res, url.searchParams, XLSX, settings);
+            } else if (req.method === 'POST' && url.pathname === '/batch') {
+                await handleBatch(req, res, url.searchParams, XLSX, settings);
+            } else {
+                throw createHttpError(404, `No route for ${req.method} ${url.pathname}`);
+            }
+        } catch (error) {
+            const status = error.status || 500;
+            if (status === 500) console.error('❌ Request failed:', error);
+            // Body left unread (e.g. 413): don't keep the connection alive
+            if (!req.complete && !res.headersSent) res.setHeader('Connection', 'close');
+            if (!res.headersSent) sendJson(res, status, { error: error.message });
+            else res.end();
+        }
+    });
+}
+
+function main() {
+    let args, XLSX;
+    try {
+        args = parseArgs(process.argv.slice(2));
+        XLSX = loadXlsx();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 4;
+        return;
+    }
+
+    const server = createServer(XLSX, { logger: args.verbose ? console : undefined });
+    server.listen(args.port, args.host, () => {
+        const { port } = server.address();
+        console.error(`🚀 Delivery note service on http://${args.host}:${port}`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { createServer, parseMultipart, MAX_BODY_BYTES };
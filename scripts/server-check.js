@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+/**
+ * HTTP extraction service check
+ *
+ * Starts scripts/extract-server.js on a free local port and calls its
+ * endpoints with the fixture PDFs in scripts/fixtures (see cli-check.js).
+ *
+ * Prerequisites:
+ *   npm install            (pdfjs-dist@3 and xlsx from package.json)
+ *
+ * Run with:
+ *   node scripts/server-check.js
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const MAX_BODY_BYTES = 64 * 1024;       // small limit for the 413 case
+const TIMEOUT_MS = 60000;
+
+/**
+ * One request → { status, headers, body (Buffer), json }.
+ * Rejects on a socket error (e.g. a connection reset).
+ */
+function request(port, method, urlPath, body = null, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const data = Buffer.concat(chunks);
+                let json = null;
+                if (/json/.test(res.headers['content-type'] || '')) json = JSON.parse(data.toString());
+                resolve({ status: res.statusCode, headers: res.headers, body: data, json });
+            });
+            res.on('error', reject);
+        });
+        req.setTimeout(TIMEOUT_MS, () => req.destroy(new Error('Request timed out')));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+function multipart(files) {
+    const boundary = 'dn-check-boundary';
+    const parts = [];
+    for (const [name, data] of files) {
+        parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="files"; filename="${name}"\r\n` +
+            'Content-Type: application/pdf\r\n\r\n'));
+        parts.push(data, Buffer.from('\r\n'));
+    }
+    parts.push(Buffer.from(`--${boundary}--\r\n`));
+    return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function fixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name));
+}
+
+const PDF = { 'Content-Type': 'application/pdf' };
+
+const testCases = [
+    {
+        name: 'GET /health lists profiles and Transport ID formats',
+        run: async (port) => {
+            const res = await request(port, 'GET', '/health');
+            expect(res.status === 200 && res.json.status === 'ok', `status ${res.status}`);
+            expect(res.json.profiles.includes('default') && res.json.transportFormats.includes('default'), 'ids listed');
+        }
+    },
+    {
+        name: 'POST /extract returns the results as JSON',
+        run: async (port) => {
+            const res = await request(port, 'POST', '/extract?name=notes.pdf', fixture('notes.pdf'), PDF);
+            expect(res.status === 200, `status ${res.status}`);
+            expect(res.json.name === 'notes.pdf', 'name');
+            expect(res.json.accepted.join(',') === '26996798,27008029', `accepted: ${res.json.accepted}`);
+            expect(res.json.transportPairs[0].transportId === '1234567890', 'Transport ID pair');
+        }
+    },
+    {
+        name: 'POST /extract?format=xlsx returns the workbook',
+        run: async (port, XLSX) => {
+            const res = await request(port, 'POST', '/extract?format=xlsx&name=notes.pdf', fixture('notes.pdf'), PDF);
+            expect(res.status === 200, `status ${res.status}`);
+            expect(/filename="notes\.xlsx"/.test(res.headers['content-disposition']), res.headers['content-disposition']);
+            const rows = XLSX.utils.sheet_to_json(XLSX.read(res.body).Sheets.Sheet1, { header: 1 });
+            expect(rows.map(r => String(r[0])).join(',') === '26996798,27008029', 'Sheet1');
+        }
+    },
+    {
+        name: 'POST /extract?format=xlsx without delivery notes → 422',
+        run: async (port) => {
+            const res = await request(port, 'POST', '/extract?format=xlsx', fixture('empty.pdf'), PDF);
+            expect(res.status === 422 && res.json.error === 'No delivery notes found in document', `status ${res.status}`);
+        }
+    },
+    {
+        name: 'Unknown profile → 400',
+        run: async (port) => {
+            const res = await request(port, 'POST', '/extract?profile=nope', fixture('notes.pdf'), PDF);
+            expect(res.status === 400 && /Unknown profile 'nope'/.test(res.json.error), `status ${res.status}`);
+        }
+    },
+    {
+        name: 'Empty body → 400',
+        run: async (port) => {
+            const res = await request(port, 'POST', '/extract', Buffer.alloc(0), PDF);
+            expect(res.status === 400, `status ${res.status}`);
+        }
+    },
+    {
+        name: 'Body over the limit → 413 response, not a connection reset',
+        run: async (port) => {
+            const res = await request(port, 'POST', '/extract', Buffer.alloc(MAX_BODY_BYTES * 4), PDF);
+            expect(res.status === 413 && /larger than/.test(res.json.error), `status ${res.status}`);
+            expect(res.headers.connection === 'close', `Connection: ${res.headers.connection}`);
+        }
+    },
+    {
+        name: 'POST /batch returns every file and the cross-file duplicates',
+        run: async (port) => {
+            const upload = multipart([['notes.pdf', fixture('notes.pdf')], ['invalid.pdf', fixture('invalid.pdf')], ['empty.pdf', fixture('empty.pdf')]]);
+            const res = await request(port, 'POST', '/batch', upload.body, { 'Content-Type': upload.contentType });
+            expect(res.status === 200, `status ${res.status}`);
+            expect(res.json.files.map(f => `${f.name}:${f.status}`).join(',') === 'notes.pdf:done,invalid.pdf:done,empty.pdf:empty', 'file statuses');
+            expect(res.json.crossFileDuplicates.length === 2, 'cross-file duplicates');
+        }
+    },
+    {
+        name: 'POST /batch?format=xlsx returns the master workbook',
+        run: async (port, XLSX) => {
+            const upload = multipart([['notes.pdf', fixture('notes.pdf')]]);
+            const res = await request(port, 'POST', '/batch?format=xlsx', upload.body, { 'Content-Type': upload.contentType });
+            expect(res.status === 200, `status ${res.status}`);
+            expect(XLSX.read(res.body).SheetNames.includes('Delivery Notes'), 'master workbook');
+        }
+    },
+    {
+        name: 'POST /batch without multipart → 415, unknown route → 404',
+        run: async (port) => {
+            const batch = await request(port, 'POST', '/batch', fixture('notes.pdf'), PDF);
+            expect(batch.status === 415, `batch status ${batch.status}`);
+            const missing = await request(port, 'GET', '/nope');
+            expect(missing.status === 404, `route status ${missing.status}`);
+        }
+    }
+];
+
+async function runTests() {
+    console.log('═══════════════════════════════════════════════════════════════');
+    console.log('  HTTP EXTRACTION SERVICE CHECK');
+    console.log('═══════════════════════════════════════════════════════════════\n');
+
+    let XLSX;
+    try {
+        XLSX = require('xlsx');
+        require.resolve('pdfjs-dist/legacy/build/pdf.js');
+    } catch (error) {
+        console.error('❌ pdfjs-dist@3 and xlsx are needed: run `npm install` first');
+        return false;
+    }
+
+    const { createServer } = require('./extract-server.js');
+    const server = createServer(XLSX, { maxBodyBytes: MAX_BODY_BYTES });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    let passed = 0, failed = 0;
+    for (const tc of testCases) {
+        let error = null;
+        try {
+            await tc.run(port, XLSX);
+        } catch (e) {
+            error = e;
+        }
+
+        const color = error ? '\x1b[31m' : '\x1b[32m';
+        console.log(`${color}${error ? '✗ FAIL' : '✓ PASS'}\x1b[0m ${tc.name}`);
+        if (error) console.log(`       ${error.message}`);
+
+        if (error) failed++;
+        else passed++;
+    }
+
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+
+    console.log(`\n  Service: ${passed} passed, ${failed} failed\n`);
+    return failed === 0;
+}
+
+if (require.main === module) {
+    runTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runTests };
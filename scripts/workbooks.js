@@ -0,0 +1,53 @@
+/**
+ * SheetJS output shared by the command-line extractor and the HTTP service.
+ * Same layouts as generateExcel / generateDetailedExcel / generateMasterWorkbook
+ * in app.js; the rows themselves come from dn-core.js.
+ *
+ * Prerequisites:
+ *   npm install xlsx
+ */
+
+const DNCore = require('../dn-core.js');
+
+function loadXlsx() {
+    try {
+        return require('xlsx');
+    } catch (error) {
+        throw new Error('SheetJS is not installed: run `npm install xlsx`');
+    }
+}
+
+function buildWorkbook(XLSX, sheets, columnWidth, autofilter = false) {
+    const wb = XLSX.utils.book_new();
+    for (const [name, rows] of Object.entries(sheets)) {
+        const ws = XLSX.utils.aoa_to_sheet(rows);
+        ws['!cols'] = rows[0].map((_, i) => ({ wch: columnWidth(name, i) }));
+        if (autofilter) {
+            ws['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length - 1, c: rows[0].length - 1 } }) };
+        }
+        XLSX.utils.book_append_sheet(wb, ws, name);
+    }
+    return wb;
+}
+
+/**
+ * One PDF's workbook: the single 'Sheet1' column of accepted notes, or the
+ * multi-sheet detailed workbook.
+ */
+function fileWorkbook(XLSX, fileName, results, detailed = false) {
+    if (detailed) {
+        return buildWorkbook(XLSX, DNCore.buildDetailedWorkbookSheets(results, fileName),
+            (name, i) => name === 'Summary' && i === 0 ? 30 : (i === 0 ? 15 : 40));
+    }
+    const notes = [...new Set(results.accepted)].map(note => [note]);
+    return buildWorkbook(XLSX, { 'Sheet1': notes.length > 0 ? notes : [['']] }, () => 15);
+}
+
+/**
+ * Consolidated workbook of the batch. `files` is [{ name, results }].
+ */
+function masterWorkbook(XLSX, files) {
+    return buildWorkbook(XLSX, DNCore.buildMasterWorkbookSheets(files), (_, i) => i === 0 ? 15 : 30, true);
+}
+
+module.exports = { loadXlsx, buildWorkbook, fileWorkbook, masterWorkbook };